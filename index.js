@@ -1,206 +1,331 @@
 import express from 'express';
+import crypto from 'crypto';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import OpenAI from 'openai';
 import { google } from 'googleapis';
-import fetch from 'node-fetch';
-import { DOMParser } from 'xmldom';
+import {
+  parseCaptions,
+  parsePlainTranscript,
+  detectCaptionFormat,
+  CAPTION_FORMATS
+} from './lib/captions.js';
+import { createStore, createVideoStore } from './lib/store.js';
+import { createConversationStore, splitHistory, isFollowUpQuestion } from './lib/conversations.js';
+import { createEmbedder, embedChunks, rankChunks, capChunks, spreadChunks } from './lib/retrieval.js';
+import { chunkTranscript } from './lib/transcript.js';
+import { formatDuration, timestampToSeconds, msToSeconds } from './lib/time.js';
+import { classifyQuery } from './lib/intent.js';
+import { createAnalyzer } from './lib/analysis.js';
+import { createJobQueue } from './lib/jobs.js';
+import { createLLMProvider } from './lib/llm.js';
+import { createHttpClient } from './lib/http.js';
+import { EXPORT_FORMATS } from './lib/export.js';
+import { getPrompts, joinPrompt, baseLanguage, languageName } from './lib/prompts/index.js';
+import { extractVideoId, extractPlaylistId, extractChannelRef, isYouTubeVideoId, createLocalMediaId, createUploadId } from './lib/urls.js';
+import {
+  readTrackPreference,
+  hasTrackPreference,
+  trackMatchesPreference
+} from './lib/tracks.js';
+import { createCaptionSource } from './lib/youtube.js';
+import { validateCitations } from './lib/citations.js';
+import { createStudyGenerator, renderAnkiCsv, withoutAnswers } from './lib/study.js';
+import { createSummarizer, SUMMARY_MODES } from './lib/summaries.js';
+import { searchTranscript, DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT } from './lib/search.js';
+import { createCollectionStore, citationLabel, extractCollectionCitations, MAX_COLLECTION_VIDEOS } from './lib/collections.js';
+import { createApiKeyAuth, parseApiKeys, requireAdminKey } from './lib/auth.js';
+import { createRateLimiter } from './lib/ratelimit.js';
+import { createUsageTracker, meterProvider, runWithClient } from './lib/usage.js';
+import { loadConfig } from './lib/config.js';
+import { fenceTranscript, neutralizeInstructions, screenMessage } from './lib/safety.js';
+import {
+  AppError,
+  ConfigError,
+  ValidationError,
+  NotFoundError,
+  youtubeApiError,
+  toAppError,
+  errorBody
+} from './lib/errors.js';
+import { logger, runWithLogContext } from './lib/logger.js';
 
 dotenv.config();
 
-// Initialize YouTube API with service account
-const youtube = google.youtube('v3');
-let auth;
-
-if (process.env.NODE_ENV === 'production') {
-  // In production, use the JSON credentials from environment variable
-  const credentials = JSON.parse(process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON);
-  auth = new google.auth.GoogleAuth({
-    credentials,
-    scopes: [
-      'https://www.googleapis.com/auth/youtube.readonly',
-      'https://www.googleapis.com/auth/youtube.force-ssl'
-    ]
-  });
-} else {
-  // In development, use the key file
-  auth = new google.auth.GoogleAuth({
-    keyFile: process.env.GOOGLE_APPLICATION_CREDENTIALS,
-    scopes: [
-      'https://www.googleapis.com/auth/youtube.readonly',
-      'https://www.googleapis.com/auth/youtube.force-ssl'
-    ]
-  });
+// Load and validate configuration before anything talks to YouTube or the LLM (see lib/config.js)
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  logger.error(error.message, { errors: error.errors });
+  process.exit(1);
+}
+logger.configure(config.logging);
+config.warnings.forEach(warning => logger.warn(warning));
+
+// Every outbound request goes through one client for timeouts, retries and record/replay (see lib/http.js)
+const http = createHttpClient(config.http);
+const fetch = http.fetch;
+if (http.mode !== 'live') {
+  logger.warn(`Outbound HTTP is in ${http.mode} mode`, { fixturesDir: config.http.fixturesDir });
 }
 
+// Initialize YouTube API with service account (inline JSON credentials or a key file)
+// The HTTP client retries, so googleapis' own retries are turned off
+google.options({ fetchImplementation: fetch, retry: false });
+const youtube = google.youtube('v3');
+const auth = new google.auth.GoogleAuth({
+  ...config.google,
+  clientOptions: { transporterOptions: { fetchImplementation: fetch } },
+  scopes: [
+    'https://www.googleapis.com/auth/youtube.readonly',
+    'https://www.googleapis.com/auth/youtube.force-ssl'
+  ]
+});
+
 // Log environment information
-console.log('Server starting with:', {
+logger.info('Server starting', {
   nodeVersion: process.version,
   platform: process.platform,
   arch: process.arch,
-  env: process.env.NODE_ENV || 'development'
+  env: config.env
 });
 
-// Verify YouTube Transcript package
-try {
-  console.log('YouTube Transcript package version:', require('youtube-transcript/package.json').version);
-} catch (e) {
-  console.warn('Could not determine YouTube Transcript package version');
-}
-
 const app = express();
 
+// Allowed origins come from CORS_ORIGINS or the config file and may be wildcards or regexes
 app.use(cors({
-  origin: [
-    'http://localhost:5173', 
-    'http://127.0.0.1:5173', 
-    'http://localhost:5174', 
-    'http://127.0.0.1:5174', 
-    'http://192.168.1.100:5173', 
-    'http://192.168.1.100:5174',
-    'https://youtube-chat-beryl.vercel.app',
-    'https://youtube-chat-git-main-baqhtear.vercel.app',
-    'https://youtube-chat-baqhtear.vercel.app'
-  ],
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type'],
+  origin: config.cors.origins,
+  methods: ['GET', 'POST', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining'],
   credentials: true
 }));
 
+// Request IDs: taken from X-Request-Id when the caller sends a sane one, otherwise generated; echoed back
+// and attached to every log line written while handling the request. Set before the body parsers run, so a
+// malformed body is answered with its request ID too
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    logger.info('Request finished', {
+      requestId: req.id,
+      clientId: req.clientId,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
+
+  runWithLogContext({ requestId: req.id }, next);
+});
+
+// Uploaded transcripts may be large and may be sent as the raw SRT, WebVTT or text file
+const UPLOAD_LIMIT = '5mb';
+app.use('/api/transcript/upload',
+  express.json({ limit: UPLOAD_LIMIT }),
+  express.text({ type: ['text/*', 'application/x-subrip'], limit: UPLOAD_LIMIT })
+);
+
 app.use(express.json());
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
+// Store processed transcripts and analysis (file-backed by default, see lib/store.js)
+const dataStore = createStore(config.store);
+const videoStore = createVideoStore(dataStore);
+// Conversations, collections and usage accounting cannot be rebuilt like the cached video data, so they get
+// a store of their own that never evicts; usage records still expire after their retention period
+const recordStore = createStore({ ...config.store, name: 'records', maxEntries: Infinity, ttl: null });
+const conversations = createConversationStore(recordStore);
+const collections = createCollectionStore(recordStore);
+
+// Per-client usage: requests, LLM tokens and YouTube API quota units
+const usage = createUsageTracker(recordStore);
+
+// Video details and caption tracks from the Data API, the timedtext endpoints and the watch page (see lib/youtube.js)
+const { fetchVideoMetadata, listCaptionTracks, fetchVideoTranscript } = createCaptionSource({ youtube, auth, fetch, usage });
+
+// LLM backend and models are chosen through LLM_PROVIDER, ANALYSIS_MODEL and CHAT_MODEL
+const llm = meterProvider(createLLMProvider(config.llm.provider, { fetch }), usage);
+const { analysisModel, chatModel, chatTemperature, chatMaxTokens } = config.llm;
+
+// Optional moderation pass over chat messages (SAFETY_MODERATION); not every provider has one
+const moderateMessages = config.safety.moderation && typeof llm.moderate === 'function';
+if (config.safety.moderation && !moderateMessages) {
+  logger.warn('SAFETY_MODERATION is on but the LLM provider has no moderation endpoint, skipping it', {
+    provider: config.llm.provider
+  });
+}
+
+const embedder = createEmbedder(config.embedding.provider, {
+  fetch,
+  onUsage: tokens => usage.recordTokens(embedder.id, tokens)
+});
+const { analyzeTranscript } = createAnalyzer({
+  llm,
+  model: analysisModel,
+  temperature: config.llm.analysisTemperature,
+  chunking: config.chunking
+});
+const { generateStudySet, gradeAnswers } = createStudyGenerator({
+  llm,
+  model: analysisModel,
+  temperature: config.llm.analysisTemperature
+});
+const { summarize } = createSummarizer({
+  llm,
+  model: analysisModel,
+  temperature: config.llm.analysisTemperature,
+  chunking: config.chunking
 });
 
-// Helper function to extract video ID from YouTube URL
-function extractVideoId(url) {
-  try {
-    if (!url) return null;
-    url = url.trim().replace(/^@/, '');
-    
-    const urlObj = new URL(url);
-    let videoId = null;
+// Summaries being generated, by cache key, so concurrent requests for the same one share the work
+const pendingSummaries = new Map();
+// Analyses being regenerated, by video ID, for the same reason
+const pendingAnalyses = new Map();
 
-    if (urlObj.hostname.includes('youtube.com')) {
-      videoId = urlObj.searchParams.get('v');
-    } else if (urlObj.hostname.includes('youtu.be')) {
-      const pathParts = urlObj.pathname.split('/').filter(Boolean);
-      videoId = pathParts[0]?.split('?')[0]; // Remove query parameters
-    }
+// Retrieval settings shared by every chunk ranking call
+const { timeWindowSeconds, topK, tokenBudget, lexicalWeight } = config.retrieval;
 
-    return videoId && videoId.length === 11 ? videoId : null;
-  } catch {
-    return null;
-  }
+// Loading a video costs this many rate limit tokens (captions download, analysis, embeddings); other calls cost 1.
+// Work only known once the request is under way (every video of a collection, generating a summary or study
+// set over the whole video) is charged on top through chargeWork
+const INGESTION_COST = 5;
+const rateLimiter = createRateLimiter(config.rateLimit);
+
+// Function to charge the current request for extra work before starting it
+function chargeWork(clientId, cost) {
+  rateLimiter.charge(clientId, cost);
 }
 
-// Store transcripts and analysis in memory
-const transcriptCache = new Map();
-const videoAnalysisCache = new Map();
+// Every /api route needs an API key (see API_KEYS), except the health check and the admin routes,
+// which check ADMIN_API_KEY themselves. Work done for a request is accounted to its client.
+app.use('/api',
+  createApiKeyAuth({
+    keys: parseApiKeys(config.auth.apiKeys),
+    isPublic: req => req.path === '/test' || req.path.startsWith('/admin/')
+  }),
+  (req, res, next) => runWithClient(req.clientId, () => runWithLogContext({ clientId: req.clientId }, next)),
+  rateLimiter.limit(req => req.method === 'POST' && req.path.startsWith('/transcript') ? INGESTION_COST : 1),
+  (req, res, next) => {
+    usage.recordRequest();
+    next();
+  }
+);
+
+// Progress of analyses currently running, keyed by video ID
+const analysisProgress = new Map();
+
+// Transcript ingestion jobs; concurrent loads of the same video share one job
+const ingestionJobs = createJobQueue();
+
+// Function to get relevant chunks for a question, depending on what it asks for (see lib/intent.js)
+async function getRelevantChunks(chunks, query, analysis, embeddings = null) {
+  const videoSeconds = chunks.length > 0 ? msToSeconds(chunks[chunks.length - 1].endTime) : 0;
+  const intent = classifyQuery(query, { duration: videoSeconds, topics: analysis.mainTopics });
+  logger.debug('Classified chat question', { intent: intent.type });
+
+  // Chunks overlapping a stretch of the video, in seconds
+  const chunksBetween = (start, end) => chunks.filter(chunk =>
+    msToSeconds(chunk.endTime) >= start && msToSeconds(chunk.startTime) <= end
+  );
+
+  // Chunks around a point in the video, closest first, capped to the retrieval budget
+  const chunksNear = targetSeconds => {
+    const distance = chunk => Math.abs(msToSeconds(chunk.startTime) - targetSeconds);
+    const nearby = chunksBetween(targetSeconds - timeWindowSeconds, targetSeconds + timeWindowSeconds);
+    return capChunks(nearby.sort((a, b) => distance(a) - distance(b)), { topK, tokenBudget });
+  };
+
+  const rank = candidates => rankChunks(candidates, query, {
+    embedder,
+    embeddings: embeddings && {
+      ...embeddings,
+      vectors: candidates.map(chunk => embeddings.vectors[chunks.indexOf(chunk)])
+    },
+    topK,
+    tokenBudget,
+    lexicalWeight
+  });
 
-// Function to format duration in HH:MM:SS
-function formatDuration(seconds) {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const remainingSeconds = Math.floor(seconds % 60);
-  
-  if (hours > 0) {
-    return `${hours}:${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
-  }
-  return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
-}
-
-// Function to chunk transcript into smaller parts with timestamps
-function chunkTranscript(transcript) {
-  const chunks = [];
-  let currentChunk = [];
-  let currentLength = 0;
-  let totalDuration = 0;
-  const MAX_CHUNK_LENGTH = 1500; // Increased for better context
-
-  for (const item of transcript) {
-    currentChunk.push(item);
-    currentLength += item.text.length;
-    totalDuration += item.duration || 0;
-
-    if (currentLength >= MAX_CHUNK_LENGTH) {
-      chunks.push({
-        text: currentChunk.map(i => i.text).join(' '),
-        startTime: currentChunk[0].offset,
-        endTime: currentChunk[currentChunk.length - 1].offset + currentChunk[currentChunk.length - 1].duration,
-        items: currentChunk
-      });
-      currentChunk = [];
-      currentLength = 0;
+  switch (intent.type) {
+    case 'time': {
+      const nearby = chunksNear(intent.seconds);
+      if (nearby.length > 0) return nearby;
+      break;
+    }
+    case 'range': {
+      const inRange = chunksBetween(intent.start, intent.end);
+      if (inRange.length > 0) return spreadChunks(inRange, { topK, tokenBudget });
+      break;
+    }
+    case 'summary':
+      // The analysis summary is already in the prompt; add samples from across the whole video
+      return spreadChunks(chunks, { topK, tokenBudget });
+    case 'topic': {
+      // Chunks are labelled with their topic once the video has been chunked along the analysis
+      const inTopic = chunks.filter(chunk => chunk.topic === intent.topic.topic);
+      if (inTopic.length > 0) return rank(inTopic);
+      const nearby = chunksNear(timestampToSeconds(intent.topic.timestamp));
+      if (nearby.length > 0) return nearby;
+      break;
     }
   }
 
-  if (currentChunk.length > 0) {
-    chunks.push({
-      text: currentChunk.map(i => i.text).join(' '),
-      startTime: currentChunk[0].offset,
-      endTime: currentChunk[currentChunk.length - 1].offset + currentChunk[currentChunk.length - 1].duration,
-      items: currentChunk
-    });
+  // Otherwise rank every chunk by semantic similarity mixed with BM25
+  return rankChunks(chunks, query, { embedder, embeddings, topK, tokenBudget, lexicalWeight });
+}
+
+// Function to load chunk embeddings, computing and caching them with the transcript the first time
+async function getChunkEmbeddings(videoId, cachedData) {
+  try {
+    const { embeddings, updated } = await embedChunks(cachedData.chunks, embedder, cachedData.embeddings);
+    if (updated) {
+      cachedData.embeddings = embeddings;
+      await videoStore.setTranscript(videoId, cachedData);
+    }
+    return embeddings;
+  } catch (error) {
+    logger.warn('Failed to embed transcript chunks, using lexical retrieval only', { videoId, error: error.message });
+    return null;
   }
+}
 
-  return { chunks, totalDuration };
+// Function to get the previous question when the current one is a follow-up ("what about that part?")
+function getPreviousQuestion(query, history) {
+  if (!history.length || !isFollowUpQuestion(query)) return null;
+  const previous = [...history].reverse().find(m => m.role === 'user');
+  return previous ? previous.content : null;
 }
 
-// Function to get relevant chunks for a timestamp or topic
-function getRelevantChunks(chunks, query, analysis) {
-  // If query contains a timestamp
-  const timeRegex = /(\d{1,2}:)?(\d{1,2}:\d{2}|\d{1,2})/;
-  const timeMatch = query.match(timeRegex);
-  
-  if (timeMatch) {
-    const timestamp = timeMatch[0];
-    const targetSeconds = timestamp.split(':').reduce((acc, val) => acc * 60 + parseInt(val), 0);
-    const window = 300; // 5 minutes window
-    
-    return chunks.filter(chunk => {
-      const chunkStart = chunk.startTime;
-      const chunkEnd = chunk.endTime;
-      return (chunkStart >= targetSeconds - window && chunkStart <= targetSeconds + window) ||
-             (chunkEnd >= targetSeconds - window && chunkEnd <= targetSeconds + window);
-    });
-  }
+// Function to pick relevant chunks, carrying over the previous turn's chunks for follow-up questions
+async function getConversationChunks(chunks, query, analysis, history = [], embeddings = null) {
+  const relevant = await getRelevantChunks(chunks, query, analysis, embeddings);
+  const previousQuestion = getPreviousQuestion(query, history);
 
-  // If query mentions a topic or concept from analysis
-  const topics = analysis.mainTopics.map(t => t.topic.toLowerCase());
-  const concepts = analysis.keyConcepts.map(c => c.concept.toLowerCase());
-  const queryLower = query.toLowerCase();
-  
-  const matchedTopic = topics.find(t => queryLower.includes(t));
-  const matchedConcept = concepts.find(c => queryLower.includes(c));
-  
-  if (matchedTopic) {
-    const topic = analysis.mainTopics.find(t => t.topic.toLowerCase() === matchedTopic);
-    if (topic && topic.timestamp) {
-      const targetSeconds = topic.timestamp.split(':').reduce((acc, val) => acc * 60 + parseInt(val), 0);
-      const window = 300;
-      return chunks.filter(chunk => {
-        const chunkStart = chunk.startTime;
-        const chunkEnd = chunk.endTime;
-        return (chunkStart >= targetSeconds - window && chunkStart <= targetSeconds + window) ||
-               (chunkEnd >= targetSeconds - window && chunkEnd <= targetSeconds + window);
-      });
-    }
-  }
+  if (!previousQuestion && relevant.length > 0) return relevant;
 
-  // Return most relevant chunks based on text similarity
-  return chunks.filter(chunk => {
-    const chunkText = chunk.text.toLowerCase();
-    const words = queryLower.split(' ').filter(w => w.length > 3);
-    return words.some(word => chunkText.includes(word));
-  });
+  // Chunks the last answer was based on, plus whatever the previous question matches
+  const lastAnswer = [...history].reverse().find(m => m.role === 'assistant' && m.chunkRefs);
+  const carried = lastAnswer ? chunks.filter(chunk => lastAnswer.chunkRefs.includes(chunk.startTime)) : [];
+  const fromPrevious = previousQuestion ? await getRelevantChunks(chunks, previousQuestion, analysis, embeddings) : [];
+
+  const selected = new Map();
+  for (const chunk of [...relevant, ...carried, ...fromPrevious]) {
+    selected.set(chunk.startTime, chunk);
+  }
+  return capChunks(Array.from(selected.values()), { topK, tokenBudget });
 }
 
 // Function to create optimized chat context
-function createChatContext(query, metadata, analysis, relevantChunks, language = 'en') {
-  // Find relevant topics and concepts
-  const queryLower = query.toLowerCase();
+function createChatContext(query, metadata, analysis, relevantChunks, prompts = getPrompts('en'), history = []) {
+  // Find relevant topics and concepts, also matching the previous question for follow-ups
+  const previousQuestion = getPreviousQuestion(query, history);
+  const queryLower = (previousQuestion ? `${previousQuestion} ${query}` : query).toLowerCase();
   const relevantTopics = analysis.mainTopics
     .filter(t => t.topic.toLowerCase().includes(queryLower) || queryLower.includes(t.topic.toLowerCase()))
     .slice(0, 3);
@@ -209,579 +334,1319 @@ function createChatContext(query, metadata, analysis, relevantChunks, language =
     .filter(c => c.concept.toLowerCase().includes(queryLower) || queryLower.includes(c.concept.toLowerCase()))
     .slice(0, 3);
 
-  // Create focused context based on language
-  return language === 'ms'
-    ? `Video: "${metadata.title}" (${formatDuration(metadata.duration)})
+  // Create focused context from the answer language's template
+  // Caption text is fenced as untrusted; topics and concepts were written from it, so they get quoted too
+  const quoted = text => neutralizeInstructions(text).text;
+  return prompts.chatContext({
+    title: metadata.title,
+    duration: formatDuration(metadata.duration),
+    topics: relevantTopics.map(t => quoted(`[${t.timestamp}] ${t.topic}: ${t.description}`)),
+    concepts: relevantConcepts.map(c => quoted(`${c.concept}: ${c.definition}`)),
+    sections: relevantChunks.map(chunk => fenceTranscript(
+      `[${formatDuration(msToSeconds(chunk.startTime))} - ${formatDuration(msToSeconds(chunk.endTime))}]
+${chunk.text}`)),
+    question: query
+  });
+}
 
-${relevantTopics.length > 0 ? `Topik Berkaitan:
-${relevantTopics.map(t => `[${t.timestamp}] ${t.topic}: ${t.description}`).join('\n')}` : ''}
+// Function to fold older conversation turns into a running summary so history fits the token budget
+async function summarizeConversation(previousSummary, turns, prompts = getPrompts('en')) {
+  const conversation = turns.map(m => `${prompts.speakers[m.role]}: ${m.content}`).join('\n\n');
 
-${relevantConcepts.length > 0 ? `Konsep Penting:
-${relevantConcepts.map(c => `${c.concept}: ${c.definition}`).join('\n')}` : ''}
+  const { content } = await llm.complete({
+    model: chatModel,
+    messages: [{ role: "user", content: joinPrompt(prompts.summarizeConversation({ previousSummary, conversation }), prompts.directive) }],
+    temperature: 0.3,
+    maxTokens: 300
+  });
 
-Bahagian transkrip yang berkaitan:
-${relevantChunks.map(chunk => 
-  `[${formatDuration(chunk.startTime)} - ${formatDuration(chunk.endTime)}]
-${chunk.text}`).join('\n\n')}
+  return content;
+}
 
-Soalan: ${query}`
-    : `Video: "${metadata.title}" (${formatDuration(metadata.duration)})
+// Function to re-chunk a transcript so chunk boundaries fall on the topic transitions the analysis found
+function chunkByTopics(transcript, analysis) {
+  return chunkTranscript(transcript, { ...config.chunking, topics: analysis.mainTopics }).chunks;
+}
+
+// Function to load the cached analysis, regenerating it if it was made with an older analysis version
+async function getOrCreateAnalysis(videoId, cachedData) {
+  const cachedAnalysis = await videoStore.getAnalysis(videoId);
+  if (cachedAnalysis) return cachedAnalysis;
 
-${relevantTopics.length > 0 ? `Relevant Topics:
-${relevantTopics.map(t => `[${t.timestamp}] ${t.topic}: ${t.description}`).join('\n')}` : ''}
+  if (pendingAnalyses.has(videoId)) return pendingAnalyses.get(videoId);
 
-${relevantConcepts.length > 0 ? `Relevant Concepts:
-${relevantConcepts.map(c => `${c.concept}: ${c.definition}`).join('\n')}` : ''}
+  const pending = (async () => {
+    logger.info('Cached analysis missing or outdated, regenerating', { videoId });
+    const analysis = await runAnalysis(videoId, cachedData.transcript, cachedData.metadata, cachedData.language);
+    await videoStore.setAnalysis(videoId, analysis);
 
-Relevant transcript sections:
-${relevantChunks.map(chunk => 
-  `[${formatDuration(chunk.startTime)} - ${formatDuration(chunk.endTime)}]
-${chunk.text}`).join('\n\n')}
+    // Chunks follow the topics, so they (and their embeddings) are rebuilt along with the analysis
+    cachedData.chunks = chunkByTopics(cachedData.transcript, analysis);
+    delete cachedData.embeddings;
+    await videoStore.setTranscript(videoId, cachedData);
+    return analysis;
+  })();
 
-Question: ${query}`;
+  pendingAnalyses.set(videoId, pending);
+  try {
+    return await pending;
+  } finally {
+    pendingAnalyses.delete(videoId);
+  }
 }
 
-// Function to analyze transcript and extract key concepts
-async function analyzeTranscript(transcript, metadata, language = 'en') {
-  const { chunks } = chunkTranscript(transcript);
-  
-  const fullTranscript = chunks.map(chunk => 
-    `[${formatDuration(chunk.startTime)}] ${chunk.text}`
-  ).join('\n');
-
-  const systemPrompt = language === 'ms' 
-    ? `Anda adalah penganalisis kandungan video yang tepat. Tugas anda adalah untuk:
-       1. Menganalisis keseluruhan video dari awal hingga akhir
-       2. Berikan timestamp yang tepat untuk semua poin utama
-       3. Pastikan liputan menyeluruh tanpa jurang yang ketara
-       4. Kembalikan hanya JSON yang sah tanpa markdown atau blok kod
-       5. Simpan semua timestamp dalam format MM:SS atau HH:MM:SS
-       6. Pastikan topik-topik diedarkan secara seimbang sepanjang video`
-    : `You are a precise video content analyzer. Your task is to:
-       1. Analyze the entire video from start to finish
-       2. Provide accurate timestamps for all major points
-       3. Ensure comprehensive coverage with no significant gaps
-       4. Return only valid JSON with no markdown or code blocks
-       5. Keep all timestamps in MM:SS or HH:MM:SS format
-       6. Ensure even distribution of topics throughout the video length`;
-
-  const analysisPrompt = language === 'ms'
-    ? `Analisis video ${formatDuration(metadata.duration)} ini bertajuk "${metadata.title}".
-       Video ini mengandungi ${chunks.length} segmen.
-
-       Buat analisis komprehensif yang merangkumi KESELURUHAN durasi video dari awal hingga akhir.
-       Bahagikan video kepada bahagian-bahagian yang logik dan kenalpasti saat-saat penting, pastikan tiada bahagian utama yang tertinggal.
-
-       Keperluan:
-       1. Kenalpasti topik/peristiwa setiap 2-3 minit
-       2. Liputi keseluruhan video dari 0:00 hingga ${formatDuration(metadata.duration)}
-       3. Sertakan topik tahap tinggi dan butiran khusus
-       4. Catat semua peralihan utama antara topik
-       5. Tangkap konsep utama semasa ia diperkenalkan
-       6. Pastikan timestamp tepat dan diagihkan secara seimbang
-
-       Berikut adalah transkrip lengkap:
-       ${fullTranscript}
-
-       Balas dengan HANYA objek JSON dalam format tepat ini (tanpa markdown, tanpa blok kod):
-       {
-         "summary": "Gambaran keseluruhan kandungan video",
-         "mainTopics": [
-           {
-             "topic": "Nama topik atau bahagian tertentu",
-             "timestamp": "MM:SS",
-             "description": "Apa yang dibincangkan atau dipersembahkan"
-           }
-         ],
-         "keyConcepts": [
-           {
-             "concept": "Istilah atau idea penting",
-             "definition": "Penjelasan jelas tentang konsep"
-           }
-         ],
-         "timeline": [
-           {
-             "time": "MM:SS",
-             "event": "Peristiwa atau poin perbincangan tertentu"
-           }
-         ]
-       }`
-    : `Analyze this ${formatDuration(metadata.duration)} video titled "${metadata.title}".
-       The video contains ${chunks.length} segments.
-
-       Create a comprehensive analysis that covers the ENTIRE video duration from start to finish.
-       Divide the video into logical sections and identify key moments, ensuring no major part is missed.
-
-       Requirements:
-       1. Identify a topic/event every 2-3 minutes
-       2. Cover the full video length from 0:00 to ${formatDuration(metadata.duration)}
-       3. Include both high-level topics and specific details
-       4. Note all major transitions between topics
-       5. Capture key concepts as they are introduced
-       6. Ensure timestamps are accurate and evenly distributed
-
-       Here's the full transcript:
-       ${fullTranscript}
-
-       Respond with ONLY a JSON object in this exact format (no markdown, no code blocks):
-       {
-         "summary": "Comprehensive overview of the entire video content",
-         "mainTopics": [
-           {
-             "topic": "Specific topic or section name",
-             "timestamp": "MM:SS",
-             "description": "What is discussed or presented"
-           }
-         ],
-         "keyConcepts": [
-           {
-             "concept": "Important term or idea",
-             "definition": "Clear explanation of the concept"
-           }
-         ],
-         "timeline": [
-           {
-             "time": "MM:SS",
-             "event": "Specific event or discussion point"
-           }
-         ]
-       }`;
+// Function to run the transcript analysis while publishing its progress for polling clients
+async function runAnalysis(videoId, transcript, metadata, language, onProgress = () => {}) {
+  const startedAt = new Date().toISOString();
+  try {
+    return await analyzeTranscript(transcript, metadata, language, {
+      onProgress: progress => {
+        analysisProgress.set(videoId, { ...progress, startedAt });
+        onProgress(progress);
+      }
+    });
+  } finally {
+    analysisProgress.delete(videoId);
+  }
+}
 
+// Function to chunk, analyze and cache a transcript, whether it came from YouTube captions or an upload
+// Returns the metadata as stored (with a duration) and the analysis
+// track is the caption track it came from (none for uploads); each track is also kept for switching back to it
+async function processTranscript(videoId, { transcript, metadata: sourceMetadata, language, captionType, track = null }, { setStage = () => {}, setProgress = () => {} } = {}) {
+  // Process transcript and get total duration
+  setStage('chunking');
+  const { chunks, totalDuration } = chunkTranscript(transcript, config.chunking);
+  logger.info('Processed transcript', {
+    chunks: chunks.length,
+    totalDuration
+  });
+
+  // Captions that address the model are quoted whenever they reach a prompt; note them for review
+  const { flagged } = neutralizeInstructions(transcript.map(item => item.text).join(' '));
+  if (flagged > 0) {
+    logger.warn('Transcript contains instruction-like passages', { videoId, passages: flagged });
+  }
+
+  // Fall back to the caption timing if contentDetails had no usable duration
+  const metadata = {
+    ...sourceMetadata,
+    duration: sourceMetadata.duration || totalDuration / 1000
+  };
+
+  // Analyze the transcript with detected language
+  setStage('analyzing');
+  const analysis = await runAnalysis(videoId, transcript, metadata, language, setProgress);
+  logger.info('Transcript analysis complete', { videoId });
+
+  // Store processed data, chunked along the topics the analysis found
+  const processedData = {
+    metadata,
+    transcript,
+    chunks: chunkByTopics(transcript, analysis),
+    language,
+    captionType,
+    ...(track ? { track } : {})
+  };
+
+  // Study sets and summaries of an earlier transcript no longer match
+  await videoStore.deleteDerived(videoId);
+  await videoStore.setTranscript(videoId, processedData);
+  await videoStore.setAnalysis(videoId, analysis);
+  await getChunkEmbeddings(videoId, processedData);
+  if (track) await videoStore.setTrack(videoId, track.key, processedData, analysis);
+  logger.info('Video cached', { videoId, track: track?.key });
+
+  return { metadata, analysis };
+}
+
+// Function to fetch, chunk, analyze and cache a video, reporting each stage to its job
+async function ingestVideo(videoId, stage = {}, { preference = {} } = {}) {
   try {
-    const analysis = await openai.chat.completions.create({
-      model: "gpt-4o-mini-2024-07-18",
-      messages: [
-        {
-          role: "system",
-          content: systemPrompt
-        },
-        {
-          role: "user",
-          content: analysisPrompt
-        }
-      ],
-      temperature: 0.3,
-      response_format: { type: "json_object" }
+    stage.setStage?.('fetching-captions');
+    const fetched = await fetchVideoTranscript(videoId, {
+      preference,
+      findCached: track => videoStore.getTrack(videoId, track.key)
     });
+    if (fetched.cached) {
+      return await restoreTrack(videoId, fetched.cached);
+    }
 
-    const responseText = analysis.choices[0].message.content;
-    
-    try {
-      const parsedAnalysis = JSON.parse(responseText);
-      
-      // Validate and ensure coverage
-      const timestamps = [
-        ...parsedAnalysis.mainTopics.map(t => t.timestamp),
-        ...parsedAnalysis.timeline.map(t => t.time)
-      ].map(t => {
-        const parts = t.split(':').map(Number);
-        return parts.length === 3 ? parts[0] * 3600 + parts[1] * 60 + parts[2] : parts[0] * 60 + parts[1];
-      }).sort((a, b) => a - b);
-
-      // Check for gaps larger than 3 minutes
-      const hasLargeGaps = timestamps.some((time, i) => {
-        if (i === 0) return time > 180; // Check start
-        return (time - timestamps[i-1]) > 180; // Check gaps
+    const { transcript: transcriptResult, language, captionType, track, metadata: videoMetadata } = fetched;
+    logger.info('Transcript fetched', {
+      videoId,
+      language,
+      captionType,
+      track: track.key,
+      transcriptLength: transcriptResult?.length || 0
+    });
+
+    const { metadata, analysis } = await processTranscript(videoId, {
+      transcript: transcriptResult,
+      metadata: videoMetadata,
+      language,
+      captionType,
+      track
+    }, stage);
+
+    return {
+      success: true,
+      message: `Transcript loaded successfully (${captionType === 'auto' ? 'Auto-generated' : 'Manual'} captions)`,
+      metadata,
+      transcript: transcriptResult,
+      analysis,
+      language,
+      captionType,
+      track
+    };
+  } catch (error) {
+    logger.error('Failed to load video', { videoId, error });
+    throw toAppError(error, 'Failed to load video');
+  }
+}
+
+// Function to return the cached transcript response for a video, or null if it has not been loaded
+// A caption track preference that the cached track does not meet counts as not loaded
+async function getCachedVideo(videoId, preference = null) {
+  const cachedData = await videoStore.getTranscript(videoId);
+  if (!cachedData) return null;
+  if (!trackMatchesPreference(cachedData.track, preference)) {
+    logger.info('Cached caption track does not match the requested one', { videoId, track: cachedData.track?.key });
+    return null;
+  }
+
+  logger.info('Returning cached video', { videoId });
+  const analysis = await getOrCreateAnalysis(videoId, cachedData);
+  return cachedVideoResponse(cachedData, analysis);
+}
+
+function cachedVideoResponse(cachedData, analysis) {
+  return {
+    success: true,
+    message: 'Transcript loaded from cache',
+    metadata: cachedData.metadata,
+    transcript: cachedData.transcript,
+    analysis,
+    language: cachedData.language,
+    captionType: cachedData.captionType,
+    track: cachedData.track || null
+  };
+}
+
+// Function to make a previously loaded caption track the video's transcript again
+async function restoreTrack(videoId, { data, analysis }) {
+  const current = await videoStore.getTranscript(videoId);
+  if (current?.track?.key !== data.track.key) {
+    // Study sets and summaries of the other track no longer match
+    await videoStore.deleteDerived(videoId);
+    await videoStore.setTranscript(videoId, data);
+    await videoStore.setAnalysis(videoId, analysis);
+    logger.info('Switched back to a previously loaded caption track', { videoId, track: data.track.key });
+  }
+  return cachedVideoResponse(data, analysis);
+}
+
+// Function to key an ingestion job: loads of the same video only share a job when they ask for the same track
+function ingestionKey(videoId, preference) {
+  if (!hasTrackPreference(preference)) return videoId;
+  const { trackId, language, kind } = preference;
+  return `${videoId}:${[trackId, language, kind].map(part => part || '').join(':')}`;
+}
+
+// Function to validate the request body and pull out the video ID
+function getRequestedVideoId(req) {
+  const { url } = req.body;
+
+  if (!url) {
+    throw new ValidationError('URL is required', { code: 'url_required' });
+  }
+
+  const videoId = extractVideoId(url);
+  if (!videoId) {
+    throw new ValidationError('Invalid YouTube URL', { code: 'invalid_url' });
+  }
+
+  logger.debug('Extracted video ID', { videoId });
+  return videoId;
+}
+
+// Function to list the videos in a playlist through the Data API (paged, capped at MAX_COLLECTION_VIDEOS)
+async function fetchPlaylistVideos(playlistId) {
+  const authClient = await auth.getClient();
+
+  usage.recordYouTube('playlists.list');
+  const playlistResponse = await youtube.playlists.list({
+    auth: authClient,
+    part: ['snippet'],
+    id: [playlistId]
+  });
+  const title = playlistResponse.data.items?.[0]?.snippet?.title || 'YouTube Playlist';
+
+  const videos = [];
+  let pageToken;
+  do {
+    usage.recordYouTube('playlistItems.list');
+    const response = await youtube.playlistItems.list({
+      auth: authClient,
+      part: ['snippet', 'contentDetails', 'status'],
+      playlistId,
+      maxResults: 50,
+      pageToken
+    });
+
+    for (const item of response.data.items || []) {
+      // Private and deleted entries stay in playlists but cannot be loaded
+      if (item.status?.privacyStatus === 'private' || !item.contentDetails?.videoId) continue;
+      videos.push({
+        videoId: item.contentDetails.videoId,
+        title: item.snippet.title,
+        position: videos.length
       });
+    }
+    pageToken = response.data.nextPageToken;
+  } while (pageToken && videos.length < MAX_COLLECTION_VIDEOS);
 
-      if (hasLargeGaps) {
-        console.warn('Warning: Analysis contains gaps larger than 3 minutes');
-      }
+  return { title, videos: videos.slice(0, MAX_COLLECTION_VIDEOS) };
+}
+
+// Function to resolve a channel reference to its uploads playlist
+async function fetchChannelUploads(channelRef) {
+  const authClient = await auth.getClient();
+  const lookup = {
+    id: { id: [channelRef.value] },
+    handle: { forHandle: channelRef.value },
+    username: { forUsername: channelRef.value }
+  }[channelRef.type];
+
+  usage.recordYouTube('channels.list');
+  const response = await youtube.channels.list({
+    auth: authClient,
+    part: ['snippet', 'contentDetails'],
+    ...lookup
+  });
+
+  const channel = response.data.items?.[0];
+  if (!channel) {
+    throw new NotFoundError('Channel not found', { code: 'channel_not_found' });
+  }
+
+  return {
+    channelId: channel.id,
+    title: channel.snippet.title,
+    uploadsPlaylistId: channel.contentDetails.relatedPlaylists.uploads
+  };
+}
 
-      return parsedAnalysis;
-    } catch (parseError) {
-      console.error('JSON Parse Error:', parseError);
-      console.error('Response Text:', responseText);
-      
-      // Create a structured fallback analysis
-      return {
-        summary: `${metadata.title} - ${formatDuration(metadata.duration)} video analysis`,
-        mainTopics: chunks.filter((_, i) => i % 3 === 0).map((chunk, i) => ({
-          topic: `Section ${i + 1}`,
-          timestamp: formatDuration(chunk.startTime),
-          description: chunk.text.slice(0, 100) + '...'
-        })),
-        keyConcepts: [
-          {
-            concept: "Video Content",
-            definition: "Main content of the video"
-          }
-        ],
-        timeline: chunks.filter((_, i) => i % 2 === 0).map(chunk => ({
-          time: formatDuration(chunk.startTime),
-          event: chunk.text.slice(0, 50) + '...'
-        }))
-      };
+// Function to tell whether a URL should be ingested as a playlist/channel collection
+function isCollectionUrl(url, expandPlaylist = false) {
+  if (!url) return false;
+  const videoId = extractVideoId(url);
+  if (extractPlaylistId(url)) return !videoId || expandPlaylist;
+  return !videoId && Boolean(extractChannelRef(url));
+}
+
+// Function to expand a playlist/channel URL, save the collection for clientId and start a load job for each video
+// charge(videoCount) is called once the videos are listed, before any of them is loaded
+async function ingestCollection(url, clientId, { preference = {}, charge = () => {} } = {}) {
+  const playlistId = extractPlaylistId(url);
+  let collection;
+
+  try {
+    if (playlistId) {
+      const { title, videos } = await fetchPlaylistVideos(playlistId);
+      collection = { id: `playlist:${playlistId}`, kind: 'playlist', sourceId: playlistId, title, videos };
+    } else {
+      const channel = await fetchChannelUploads(extractChannelRef(url));
+      const { videos } = await fetchPlaylistVideos(channel.uploadsPlaylistId);
+      collection = { id: `channel:${channel.channelId}`, kind: 'channel', sourceId: channel.channelId, title: channel.title, videos };
     }
   } catch (error) {
-    console.error('Analysis Error:', error);
-    throw error;
+    throw error.response ? youtubeApiError(error, 'Failed to list playlist videos') : error;
   }
+
+  if (collection.videos.length === 0) {
+    throw new NotFoundError('No loadable videos found in this playlist or channel', { code: 'collection_empty' });
+  }
+
+  charge(collection.videos.length);
+
+  // Kept so status lookups find the jobs under the same keys as the ones started here
+  collection.preference = preference;
+  collection.clientId = clientId;
+  collection.createdAt = new Date().toISOString();
+  await collections.save(collection);
+
+  const videos = collection.videos.map(video => {
+    const job = ingestionJobs.enqueue(ingestionKey(video.videoId, preference), async stage =>
+      (await getCachedVideo(video.videoId, preference)) || ingestVideo(video.videoId, stage, { preference }), { videoId: video.videoId });
+    return { ...video, jobId: job.id };
+  });
+
+  return { collection, videos };
 }
 
-async function fetchVideoTranscript(videoId) {
+// Function to answer a collection URL request with 202 and the per-video jobs
+async function respondWithCollection(req, res) {
+  const { url } = req.body;
+  logger.info('Expanding collection URL', { url });
+
+  // A track ID belongs to one video, so only the language and kind apply to a whole collection
+  const { language, kind } = readTrackPreference(req.body);
+  const { collection, videos } = await ingestCollection(url, req.clientId, {
+    preference: { language, kind },
+    // The request already paid for one video on the way in
+    charge: count => chargeWork(req.clientId, (count - 1) * INGESTION_COST)
+  });
+  return res.status(202).json({
+    success: true,
+    message: `Loading ${videos.length} videos from "${collection.title}"`,
+    collectionId: collection.id,
+    title: collection.title,
+    kind: collection.kind,
+    videos,
+    statusUrl: `/api/collections/${encodeURIComponent(collection.id)}`
+  });
+}
+
+// Synchronous load: waits for the whole pipeline (fine for short videos)
+app.post('/api/transcript', async (req, res, next) => {
   try {
-    console.log('Attempting to fetch transcript for video:', videoId);
-    const authClient = await auth.getClient();
+    logger.info('Received transcript request', { url: req.body.url });
 
-    // First, get video details
-    const videoResponse = await youtube.videos.list({
-      auth: authClient,
-      part: ['contentDetails', 'snippet'],
-      id: [videoId]
-    });
+    // Playlists and channels are always loaded in the background
+    if (isCollectionUrl(req.body.url, req.body.playlist)) {
+      return await respondWithCollection(req, res);
+    }
+
+    const videoId = getRequestedVideoId(req);
+    const preference = readTrackPreference(req.body);
 
-    if (!videoResponse.data.items || videoResponse.data.items.length === 0) {
-      throw new Error('Video not found');
+    // Return cached data if available
+    const cached = await getCachedVideo(videoId, preference);
+    if (cached) {
+      return res.json(cached);
     }
 
-    const video = videoResponse.data.items[0];
-    console.log('Video details:', {
-      title: video.snippet.title,
-      hasCaptions: video.contentDetails.caption === 'true'
-    });
+    // Join the in-flight job for this video and track preference if there is one, otherwise start it
+    const job = ingestionJobs.enqueue(ingestionKey(videoId, preference), stage =>
+      ingestVideo(videoId, stage, { preference }), { videoId });
+    const result = await ingestionJobs.wait(job.id);
 
-    // Get caption tracks using authenticated request
-    const captionResponse = await youtube.captions.list({
-      auth: authClient,
-      part: ['snippet', 'id'],
-      videoId: videoId
+    return res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Asynchronous load: returns a job ID right away, poll /api/transcript/jobs/:jobId for status
+app.post('/api/transcript/jobs', async (req, res, next) => {
+  try {
+    if (isCollectionUrl(req.body.url, req.body.playlist)) {
+      return await respondWithCollection(req, res);
+    }
+
+    const videoId = getRequestedVideoId(req);
+    const preference = readTrackPreference(req.body);
+
+    const job = ingestionJobs.enqueue(ingestionKey(videoId, preference), async stage =>
+      (await getCachedVideo(videoId, preference)) || ingestVideo(videoId, stage, { preference }), { videoId });
+
+    res.status(202).json({
+      jobId: job.id,
+      videoId,
+      status: job.status,
+      stage: job.stage,
+      statusUrl: `/api/transcript/jobs/${job.id}`
     });
-    
-    console.log('Caption tracks:', captionResponse.data);
-    
-    let transcriptText = null;
-    let language = 'en';
-    let captionType = 'auto';
-
-    if (captionResponse.data.items && captionResponse.data.items.length > 0) {
-      // Try each caption track
-      for (const caption of captionResponse.data.items) {
-        try {
-          console.log('Trying caption track:', caption.snippet);
-          
-          // Try to download the caption track
-          try {
-            console.log('Attempting to download caption:', caption.id);
-            const downloadResponse = await youtube.captions.download({
-              auth: authClient,
-              id: caption.id,
-              tfmt: 'srt',
-              prettyPrint: true
-            });
-            
-            if (downloadResponse && downloadResponse.data) {
-              console.log('Download successful, data length:', downloadResponse.data.length);
-              transcriptText = downloadResponse.data;
-              language = caption.snippet.language;
-              captionType = caption.snippet.trackKind === 'ASR' ? 'auto' : 'manual';
-              break;
-            } else {
-              console.log('Download response empty');
-            }
-          } catch (downloadError) {
-            console.log('Failed to download caption:', downloadError.message);
-            console.log('Download error details:', downloadError.response?.data || downloadError);
-            
-            // If OAuth download fails, try public endpoints as fallback
-            const formats = [
-              `https://www.youtube.com/api/timedtext?v=${videoId}&lang=${caption.snippet.language}`,
-              `https://www.youtube.com/api/timedtext?v=${videoId}&lang=${caption.snippet.language}&fmt=srv3`,
-              `https://www.youtube.com/api/timedtext?v=${videoId}&lang=${caption.snippet.language}&kind=asr`
-            ];
-
-            for (const url of formats) {
-              try {
-                console.log('Trying public URL:', url);
-                const response = await fetch(url);
-                const text = await response.text();
-                
-                if (response.ok && text && text.length > 0 && (text.includes('<transcript>') || text.includes('<text'))) {
-                  console.log('Found captions via public endpoint');
-                  transcriptText = text;
-                  language = caption.snippet.language;
-                  captionType = caption.snippet.trackKind === 'ASR' ? 'auto' : 'manual';
-                  break;
-                }
-              } catch (error) {
-                console.log(`Failed to fetch from public endpoint:`, error.message);
-              }
-            }
-          }
-
-          if (transcriptText) break;
-        } catch (error) {
-          console.log(`Failed to process caption track:`, error.message);
-        }
-      }
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/transcript/jobs/:jobId', (req, res) => {
+  const job = ingestionJobs.get(req.params.jobId);
+  if (!job) {
+    throw new NotFoundError('Job not found', { code: 'job_not_found' });
+  }
+
+  const { id, key, result, videoId = key, ...status } = job;
+  res.json({
+    jobId: id,
+    videoId,
+    ...status,
+    ...(job.status === 'done' ? { result } : {})
+  });
+});
+
+// Function to read an uploaded transcript from the request: either a JSON body with the file in "content",
+// or the raw file as a text body with the other fields in the query string
+function readTranscriptUpload(req) {
+  const fields = typeof req.body === 'string'
+    ? { ...req.query, content: req.body }
+    : { ...req.query, ...req.body };
+  const { content, format, title, language, duration } = fields;
+
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new ValidationError('Transcript content is required', { code: 'content_required' });
+  }
+  if (format && !CAPTION_FORMATS.includes(format)) {
+    throw new ValidationError(`format must be one of: ${CAPTION_FORMATS.join(', ')}`, { code: 'invalid_format' });
+  }
+
+  // Tied to a YouTube video when one is given, otherwise to local media known only by its title
+  let videoId = null;
+  if (fields.videoId || fields.url) {
+    videoId = isYouTubeVideoId(fields.videoId) ? fields.videoId : extractVideoId(fields.url || fields.videoId);
+    if (!videoId) {
+      throw new ValidationError('Invalid YouTube video ID or URL', { code: 'invalid_url' });
     }
+  } else if (typeof title !== 'string' || !title.trim()) {
+    throw new ValidationError('A title is required for media that is not on YouTube', { code: 'title_required' });
+  }
 
-    // If still no transcript, try page scraping as last resort
-    if (!transcriptText) {
-      console.log('Attempting to fetch captions through page scraping');
-      const response = await fetch(`https://www.youtube.com/watch?v=${videoId}`);
-      const html = await response.text();
-      
-      const captionDataMatch = html.match(/"captions":\s*({[^}]+})/);
-      if (captionDataMatch) {
-        try {
-          const captionData = JSON.parse(captionDataMatch[1]);
-          console.log('Found caption data in page source:', captionData);
-          
-          if (captionData.playerCaptionsTracklistRenderer?.captionTracks) {
-            const tracks = captionData.playerCaptionsTracklistRenderer.captionTracks;
-            for (const track of tracks) {
-              try {
-                const response = await fetch(track.baseUrl);
-                const text = await response.text();
-                if (response.ok && text && text.length > 0 && (text.includes('<transcript>') || text.includes('<text'))) {
-                  transcriptText = text;
-                  language = track.languageCode;
-                  captionType = track.kind === 'asr' ? 'auto' : 'manual';
-                  break;
-                }
-              } catch (error) {
-                console.log('Failed to fetch caption track:', error.message);
-              }
-            }
-          }
-        } catch (error) {
-          console.log('Failed to parse caption data:', error.message);
-        }
+  const seconds = duration === undefined || duration === '' ? null : Number(duration);
+  if (seconds !== null && !(Number.isFinite(seconds) && seconds > 0)) {
+    throw new ValidationError('duration must be a positive number of seconds', { code: 'invalid_duration' });
+  }
+
+  // Anything that is not recognizably SRT, WebVTT or a YouTube format is read as plain text
+  const captionFormat = format || detectCaptionFormat(content) || 'text';
+  const { items, estimated } = captionFormat === 'text'
+    ? parsePlainTranscript(content)
+    : { items: parseCaptions(content, captionFormat), estimated: false };
+  if (items.length === 0) {
+    throw new ValidationError('The transcript contains no text', { code: 'empty_transcript' });
+  }
+
+  return {
+    videoId,
+    transcript: items,
+    estimated,
+    format: captionFormat,
+    title: typeof title === 'string' ? title.trim() : '',
+    language: typeof language === 'string' && language.trim() ? language.trim() : 'en',
+    duration: seconds
+  };
+}
+
+// Function to stretch speaking-rate estimates so the transcript spans the whole video
+function scaleTranscript(transcript, durationSeconds) {
+  const last = transcript[transcript.length - 1];
+  const factor = (durationSeconds * 1000) / (last.offset + last.duration);
+  return transcript.map(item => ({
+    ...item,
+    offset: Math.round(item.offset * factor),
+    duration: Math.round(item.duration * factor)
+  }));
+}
+
+// Function to put an uploaded transcript through the same pipeline as YouTube captions
+// It is stored under its own ID (upload.id); videoId is the YouTube video it was made for, if any
+async function ingestUpload(upload, stage = {}) {
+  const { id, videoId, estimated, format, title, language } = upload;
+  try {
+    let metadata = { title: title || videoId || id, duration: upload.duration, chapters: [] };
+
+    // Captions may be disabled, but the video's details are still worth having
+    if (videoId) {
+      stage.setStage?.('fetching-metadata');
+      try {
+        const { metadata: videoMetadata } = await fetchVideoMetadata(videoId, await auth.getClient());
+        metadata = {
+          ...videoMetadata,
+          ...(title ? { title } : {}),
+          duration: upload.duration || videoMetadata.duration
+        };
+      } catch (error) {
+        if (error instanceof NotFoundError) throw error;
+        logger.warn('Could not fetch video details for uploaded transcript', { videoId, error });
       }
     }
 
-    if (!transcriptText) {
-      throw new Error('No captions found for this video');
+    const transcript = estimated && metadata.duration
+      ? scaleTranscript(upload.transcript, metadata.duration)
+      : upload.transcript;
+
+    // Uploaded files often leave gaps between cues, so the last cue marks the end rather than the summed durations
+    if (!metadata.duration) {
+      const last = transcript[transcript.length - 1];
+      metadata.duration = msToSeconds(last.offset + last.duration);
     }
 
-    // Parse the XML caption format
-    const transcript = parseYouTubeCaption(transcriptText);
-    
+    const result = await processTranscript(id, {
+      transcript,
+      metadata: { ...metadata, source: 'upload', ...(videoId ? { youtubeVideoId: videoId } : {}) },
+      language,
+      captionType: 'uploaded'
+    }, stage);
+
     return {
+      success: true,
+      message: `Transcript uploaded successfully (${format}${estimated ? ', estimated timing' : ''})`,
+      videoId: id,
+      ...(videoId ? { youtubeVideoId: videoId } : {}),
+      metadata: result.metadata,
       transcript,
+      analysis: result.analysis,
       language,
-      captionType
+      captionType: 'uploaded'
     };
   } catch (error) {
-    console.error('Final transcript fetch error:', error);
-    throw new Error(
-      `Failed to fetch transcript: ${error.message}. ` +
-      'Please try another video or ensure the video has accessible captions.'
-    );
+    logger.error('Failed to process uploaded transcript', { id, videoId, error });
+    throw toAppError(error, 'Failed to process uploaded transcript');
+  }
+}
+
+// Bring-your-own transcript: SRT, WebVTT or plain text for videos whose captions are missing or unusable.
+// The response's videoId is the upload's own ID, never the YouTube video's, so the captions cached for the video
+// stay as they are; chat, export, study and summaries then work on that ID unchanged
+app.post('/api/transcript/upload', async (req, res, next) => {
+  try {
+    const upload = readTranscriptUpload(req);
+    upload.id = upload.videoId ? createUploadId(upload.videoId) : createLocalMediaId();
+    logger.info('Received transcript upload', {
+      id: upload.id,
+      videoId: upload.videoId,
+      format: upload.format,
+      items: upload.transcript.length
+    });
+
+    const job = ingestionJobs.enqueue(`upload:${upload.id}`, stage => ingestUpload(upload, stage), { videoId: upload.id });
+    const result = await ingestionJobs.wait(job.id);
+
+    return res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Function to decide whether a chat message gets an answer: null, or the refusal ({ code, message }) to send
+// instead. context lists what the video or collection is about. A failed moderation call lets the message
+// through rather than taking chat down with it
+async function checkChatMessage(message, { context, prompts }) {
+  let refusal = screenMessage(message, { context, maxLength: config.safety.maxMessageLength });
+
+  if (!refusal && moderateMessages) {
+    try {
+      const { flagged, categories } = await llm.moderate(message);
+      if (flagged) refusal = { code: 'moderation', categories };
+    } catch (error) {
+      logger.warn('Moderation check failed, answering without it', { error: error.message });
+    }
+  }
+
+  if (!refusal) return null;
+  logger.warn('Chat message refused', { code: refusal.code, categories: refusal.categories });
+  return { code: refusal.code, message: prompts.refusals[refusal.code] };
+}
+
+// Function to build the response for a refused chat message; refused turns are not saved to the conversation
+function refusalBody(refusal) {
+  return { refused: true, refusal, response: refusal.message, citations: [] };
+}
+
+// Function to load everything a chat turn needs and build the model messages
+// Returns { conversation, refusal } instead when the message is refused
+// clientId is the API client asking: only its own conversations can be continued
+async function prepareChat({ message, videoId, conversationId, language: answerLanguage }, clientId) {
+  const cachedData = await videoStore.getTranscript(videoId);
+
+  if (!cachedData) {
+    throw new NotFoundError('Transcript not found. Please load the video first.', { code: 'video_not_loaded' });
+  }
+
+  let conversation = null;
+  if (conversationId) {
+    conversation = await conversations.get(conversationId, clientId);
+    if (!conversation || conversation.videoId !== videoId) {
+      throw new NotFoundError('Conversation not found', { code: 'conversation_not_found' });
+    }
+  } else {
+    conversation = conversations.create(videoId, clientId);
   }
+
+  const analysis = await getOrCreateAnalysis(videoId, cachedData);
+
+  const { metadata, chunks, language } = cachedData;
+
+  // Answer in the language the client asked for, defaulting to the caption language
+  const prompts = getPrompts(answerLanguage || language);
+
+  const refusal = await checkChatMessage(message, {
+    context: [metadata.title, ...analysis.mainTopics.map(t => t.topic), ...analysis.keyConcepts.map(c => c.concept)],
+    prompts
+  });
+  if (refusal) {
+    return { conversation, refusal };
+  }
+
+  // Fold turns that no longer fit the history budget into the running summary
+  const { recent, overflow } = splitHistory(conversation);
+  if (overflow.length > 0) {
+    try {
+      conversation.summary = await summarizeConversation(conversation.summary, overflow, prompts);
+    } catch (error) {
+      logger.warn('Failed to summarize conversation, dropping older turns', { error: error.message });
+    }
+    conversation.summarizedCount += overflow.length;
+  }
+  
+  // Get relevant chunks based on the query and earlier turns
+  const embeddings = await getChunkEmbeddings(videoId, cachedData);
+  const relevantChunks = await getConversationChunks(chunks, message, analysis, recent, embeddings);
+  
+  // Create optimized context with detected language
+  const contextPrompt = createChatContext(message, metadata, analysis, relevantChunks, prompts, recent);
+
+  // Tell the model when it is answering in a different language than the transcript
+  const systemPrompt = joinPrompt(
+    prompts.chatSystem(),
+    prompts.untrustedContent(),
+    prompts.directive,
+    baseLanguage(language) !== baseLanguage(prompts.locale)
+      ? prompts.transcriptLanguage(languageName(language, prompts.templateLocale))
+      : ''
+  );
+
+  const summaryMessages = conversation.summary
+    ? [{ role: "system", content: prompts.conversationSummary(conversation.summary) }]
+    : [];
+
+  // Function to check and snap the timestamps the answer cites
+  const getCitations = response => validateCitations(response, {
+    videoId,
+    transcript: cachedData.transcript,
+    relevantChunks,
+    duration: metadata.duration
+  });
+
+  return {
+    conversation,
+    relevantChunks,
+    getCitations,
+    messages: [
+      {
+        role: "system",
+        content: systemPrompt
+      },
+      ...summaryMessages,
+      ...recent.map(m => ({ role: m.role, content: m.content })),
+      { role: "user", content: contextPrompt }
+    ]
+  };
+}
+
+// Function to record a finished question/answer pair on the conversation
+async function saveChatTurn(conversation, message, response, relevantChunks) {
+  const now = new Date().toISOString();
+  conversation.messages.push(
+    { role: 'user', content: message, createdAt: now },
+    { role: 'assistant', content: response, createdAt: now, chunkRefs: relevantChunks.map(c => c.startTime) }
+  );
+  await conversations.save(conversation);
 }
 
-function parseYouTubeCaption(xmlString) {
+// Function to stream a chat answer as Server-Sent Events
+async function streamChat(req, res, next) {
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Abort the upstream completion if the client goes away before we finish
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
   try {
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(xmlString, 'text/xml');
-    const textNodes = xmlDoc.getElementsByTagName('text');
-    
-    return Array.from(textNodes).map(node => {
-      const start = parseFloat(node.getAttribute('start') || '0') * 1000;
-      const duration = (parseFloat(node.getAttribute('dur') || '0')) * 1000;
-      const text = node.textContent || '';
-      
-      return {
-        text: text
-          .replace(/&#39;/g, "'")
-          .replace(/&quot;/g, '"')
-          .replace(/&amp;/g, '&')
-          .replace(/&lt;/g, '<')
-          .replace(/&gt;/g, '>')
-          .trim(),
-        offset: start,
-        duration: duration || 2000 // Default duration if not provided
-      };
-    }).filter(item => item.text.length > 0);
+    const prepared = await prepareChat(req.body, req.clientId);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    if (prepared.refusal) {
+      const body = { ...refusalBody(prepared.refusal), conversationId: req.body.conversationId || null };
+      sendEvent('start', { conversationId: body.conversationId });
+      sendEvent('refusal', prepared.refusal);
+      sendEvent('done', body);
+      return res.end();
+    }
+
+    const { conversation, relevantChunks, getCitations, messages } = prepared;
+    sendEvent('start', { conversationId: conversation.id });
+
+    const stream = llm.stream({
+      model: chatModel,
+      messages,
+      temperature: chatTemperature,
+      maxTokens: chatMaxTokens,
+      signal: controller.signal
+    });
+
+    let response = '';
+    for await (const token of stream) {
+      response += token;
+      sendEvent('token', { content: token });
+    }
+
+    await saveChatTurn(conversation, req.body.message, response, relevantChunks);
+
+    sendEvent('done', {
+      response,
+      conversationId: conversation.id,
+      citations: getCitations(response)
+    });
+    res.end();
   } catch (error) {
-    console.error('Error parsing XML:', error);
-    throw new Error('Failed to parse captions');
+    if (controller.signal.aborted) {
+      logger.info('Client disconnected, aborted chat stream');
+      return;
+    }
+    if (!res.headersSent) {
+      return next(error);
+    }
+    // Headers are already sent, so the error goes out as an event instead of through the error handler
+    logger.error('Chat stream failed', { error });
+    sendEvent('error', errorBody(error, req.id));
+    res.end();
   }
 }
 
-app.post('/api/transcript', async (req, res) => {
+app.post('/api/chat', async (req, res, next) => {
+  if (req.get('Accept')?.includes('text/event-stream')) {
+    return streamChat(req, res, next);
+  }
+
   try {
-    console.log('Received transcript request:', {
-      url: req.body.url,
-      headers: req.headers,
-      timestamp: new Date().toISOString()
+    const { message, conversationId } = req.body;
+    const prepared = await prepareChat(req.body, req.clientId);
+    if (prepared.refusal) {
+      return res.json({ ...refusalBody(prepared.refusal), conversationId: conversationId || null });
+    }
+    const { conversation, relevantChunks, getCitations, messages } = prepared;
+
+    const { content: response } = await llm.complete({
+      model: chatModel,
+      messages,
+      temperature: chatTemperature,
+      maxTokens: chatMaxTokens
     });
-    
-    const { url } = req.body;
-    
-    if (!url) {
-      console.log('URL missing in request');
-      return res.status(400).json({ error: 'URL is required' });
+
+    await saveChatTurn(conversation, message, response, relevantChunks);
+
+    res.json({ response, conversationId: conversation.id, citations: getCitations(response) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/chat/stream', streamChat);
+
+app.get('/api/conversations', async (req, res, next) => {
+  try {
+    const list = await conversations.list(req.clientId, req.query.videoId || null);
+    res.json({ conversations: list });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/conversations/:conversationId', async (req, res, next) => {
+  try {
+    const conversation = await conversations.get(req.params.conversationId, req.clientId);
+    if (!conversation) {
+      throw new NotFoundError('Conversation not found', { code: 'conversation_not_found' });
     }
+    const { id, videoId, createdAt, updatedAt, summary, messages } = conversation;
+    res.json({
+      id,
+      videoId,
+      createdAt,
+      updatedAt,
+      summary,
+      messages: messages.map(({ role, content, createdAt }) => ({ role, content, createdAt }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const videoId = extractVideoId(url);
-    console.log('Extracted video ID:', videoId);
-    
-    if (!videoId) {
-      console.log('Invalid video ID extracted from URL:', url);
-      return res.status(400).json({ error: 'Invalid YouTube URL' });
+app.delete('/api/conversations/:conversationId', async (req, res, next) => {
+  try {
+    const conversation = await conversations.get(req.params.conversationId, req.clientId);
+    if (!conversation) {
+      throw new NotFoundError('Conversation not found', { code: 'conversation_not_found' });
     }
+    await conversations.delete(conversation.id);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Return cached data if available
-    if (transcriptCache.has(videoId)) {
-      console.log('Returning cached data for video:', videoId);
-      const cachedData = transcriptCache.get(videoId);
-      const analysis = videoAnalysisCache.get(videoId);
-      return res.json({
-        success: true,
-        message: 'Transcript loaded from cache',
-        metadata: cachedData.metadata,
-        transcript: cachedData.transcript,
-        analysis,
-        language: cachedData.language,
-        captionType: cachedData.captionType
-      });
+app.get('/api/collections/:collectionId', async (req, res, next) => {
+  try {
+    const collection = await collections.get(req.params.collectionId, req.clientId);
+    if (!collection) {
+      throw new NotFoundError('Collection not found', { code: 'collection_not_found' });
     }
 
-    try {
-      console.log('Fetching transcript for video:', videoId);
-      const { transcript: transcriptResult, language, captionType } = await fetchVideoTranscript(videoId);
-      console.log('Transcript fetch successful:', {
-        language,
-        captionType,
-        transcriptLength: transcriptResult?.length || 0
+    const videos = [];
+    for (const video of collection.videos) {
+      const cachedData = await videoStore.getTranscript(video.videoId);
+      const loaded = Boolean(cachedData) && trackMatchesPreference(cachedData.track, collection.preference);
+      const job = ingestionJobs.findByKey(ingestionKey(video.videoId, collection.preference));
+      videos.push({
+        ...video,
+        status: loaded ? 'done' : job?.status || 'not-loaded',
+        stage: loaded ? 'done' : job?.stage || null,
+        error: loaded ? null : job?.error || null,
+        jobId: job?.id || null
       });
+    }
 
-      // Process transcript and get total duration
-      const { chunks, totalDuration } = chunkTranscript(transcriptResult);
-      console.log('Processed transcript:', {
-        chunks: chunks.length,
-        totalDuration
-      });
+    const { id, kind, sourceId, title, createdAt, updatedAt } = collection;
+    res.json({
+      collectionId: id,
+      kind,
+      sourceId,
+      title,
+      createdAt,
+      updatedAt,
+      loaded: videos.filter(v => v.status === 'done').length,
+      total: videos.length,
+      videos
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-      // Try to fetch video title using oEmbed
-      let videoTitle = 'YouTube Video';
-      try {
-        console.log('Fetching video metadata...');
-        const oembedUrl = `https://www.youtube.com/oembed?url=https://www.youtube.com/watch?v=${videoId}&format=json`;
-        const oembedResponse = await fetch(oembedUrl);
-        const oembedData = await oembedResponse.json();
-        videoTitle = oembedData.title || videoTitle;
-        console.log('Video metadata fetched:', { title: videoTitle });
-      } catch (e) {
-        console.error('Failed to fetch video title:', e);
-      }
+// Chat across every loaded video in a collection; answers cite [Video title @ MM:SS]
+app.post('/api/collections/:collectionId/chat', async (req, res, next) => {
+  try {
+    const { message, language: answerLanguage } = req.body;
+    const collection = await collections.get(req.params.collectionId, req.clientId);
+    if (!collection) {
+      throw new NotFoundError('Collection not found', { code: 'collection_not_found' });
+    }
+
+    // Gather chunks (and their embeddings, if every video has them) from the loaded videos
+    const loadedVideos = [];
+    const allChunks = [];
+    let allVectors = [];
+    for (const video of collection.videos) {
+      const cachedData = await videoStore.getTranscript(video.videoId);
+      if (!cachedData) continue;
+
+      const title = cachedData.metadata?.title || video.title;
+      loadedVideos.push({ ...video, title, language: cachedData.language });
+
+      const embeddings = await getChunkEmbeddings(video.videoId, cachedData);
+      allVectors = allVectors && embeddings ? allVectors.concat(embeddings.vectors) : null;
+      allChunks.push(...cachedData.chunks.map(chunk => ({
+        ...chunk,
+        videoId: video.videoId,
+        videoTitle: title,
+        position: video.position
+      })));
+    }
+
+    if (loadedVideos.length === 0) {
+      throw new ValidationError('No videos in this collection have been loaded yet.', { code: 'collection_not_loaded' });
+    }
+
+    const prompts = getPrompts(answerLanguage || loadedVideos[0].language);
+    const refusal = await checkChatMessage(message, {
+      context: [collection.title, ...loadedVideos.map(v => v.title)],
+      prompts
+    });
+    if (refusal) {
+      return res.json({ ...refusalBody(refusal), sources: [] });
+    }
+
+    const ranked = await rankChunks(allChunks, message, {
+      embedder,
+      embeddings: allVectors ? { vectors: allVectors } : null,
+      // Several videos compete for the context, so take a couple more chunks than for one video
+      topK: topK + 2,
+      tokenBudget,
+      lexicalWeight
+    });
+    const relevantChunks = ranked.sort((a, b) => a.position - b.position || a.startTime - b.startTime);
+
+    const { content: response } = await llm.complete({
+      model: chatModel,
+      messages: [
+        { role: "system", content: joinPrompt(prompts.collectionChatSystem(), prompts.untrustedContent(), prompts.directive) },
+        {
+          role: "user",
+          content: prompts.collectionChatContext({
+            title: collection.title,
+            videos: loadedVideos.map(v => v.title),
+            sections: relevantChunks.map(chunk =>
+              fenceTranscript(`${citationLabel(chunk.videoTitle, chunk.startTime / 1000)}\n${chunk.text}`)),
+            question: message
+          })
+        }
+      ],
+      temperature: chatTemperature,
+      maxTokens: chatMaxTokens
+    });
 
-      const metadata = {
-        title: videoTitle,
-        duration: totalDuration,
-        author: 'YouTube Creator'
-      };
-
-      // Analyze the transcript with detected language
-      console.log('Starting transcript analysis...');
-      const analysis = await analyzeTranscript(transcriptResult, metadata, language);
-      console.log('Transcript analysis complete');
-
-      // Store processed data
-      const processedData = {
-        metadata,
-        transcript: transcriptResult,
-        chunks,
-        language,
-        captionType
-      };
-
-      transcriptCache.set(videoId, processedData);
-      videoAnalysisCache.set(videoId, analysis);
-      console.log('Data cached for video:', videoId);
-
-      console.log('Sending successful response');
-      return res.json({
-        success: true,
-        message: `Transcript loaded successfully (${captionType === 'auto' ? 'Auto-generated' : 'Manual'} captions)`,
-        metadata,
-        transcript: transcriptResult,
-        analysis,
-        language,
-        captionType
+    res.json({
+      response,
+      citations: extractCollectionCitations(response, loadedVideos),
+      sources: relevantChunks.map(chunk => ({
+        videoId: chunk.videoId,
+        title: chunk.videoTitle,
+        startTime: chunk.startTime,
+        endTime: chunk.endTime
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Caption tracks a video offers, to pick one with captionTrack (or captionLanguage/captionKind) on /api/transcript
+// loaded marks the track the video is currently loaded from; cached ones load again without a new analysis
+app.get('/api/videos/:videoId/tracks', async (req, res, next) => {
+  try {
+    const { videoId } = req.params;
+    if (!isYouTubeVideoId(videoId)) {
+      throw new ValidationError('Invalid YouTube video ID', { code: 'invalid_video_id' });
+    }
+
+    const [tracks, cachedData] = await Promise.all([listCaptionTracks(videoId), videoStore.getTranscript(videoId)]);
+    const loadedKey = cachedData?.track?.key || null;
+
+    res.json({
+      videoId,
+      tracks: await Promise.all(tracks.map(async track => ({
+        ...track,
+        loaded: track.key === loadedKey,
+        cached: Boolean(await videoStore.getTrack(videoId, track.key))
+      })))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/videos/:videoId/export', async (req, res, next) => {
+  try {
+    const { videoId } = req.params;
+    const format = (req.query.format || 'txt').toLowerCase();
+    const exporter = EXPORT_FORMATS[format];
+
+    if (!exporter) {
+      throw new ValidationError(`Unsupported export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, {
+        code: 'unsupported_format'
       });
-    } catch (transcriptError) {
-      console.error('Transcript fetch error details:', {
-        error: transcriptError,
-        message: transcriptError.message,
-        stack: transcriptError.stack
+    }
+
+    const cachedData = await videoStore.getTranscript(videoId);
+    if (!cachedData) {
+      throw new NotFoundError('Transcript not found. Please load the video first.', { code: 'video_not_loaded' });
+    }
+
+    const analysis = exporter.needsAnalysis ? await getOrCreateAnalysis(videoId, cachedData) : null;
+    const body = exporter.render(
+      { videoId, ...cachedData, analysis },
+      { timestamps: req.query.timestamps !== 'false' }
+    );
+
+    res.set('Content-Type', exporter.contentType);
+    res.set('Content-Disposition', `attachment; filename="${videoId}.${format}"`);
+    res.send(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Function to load a video's cached study set for a language, generating it on first use
+// onGenerate is called before a new study set is generated, so the request can be charged for it
+async function getOrCreateStudySet(videoId, cachedData, requestedLanguage, { regenerate = false, onGenerate = () => {} } = {}) {
+  const language = getPrompts(requestedLanguage || cachedData.language).locale;
+  if (!regenerate) {
+    const cached = await videoStore.getStudySet(videoId, language);
+    if (cached) return cached;
+  }
+  onGenerate();
+
+  const analysis = await getOrCreateAnalysis(videoId, cachedData);
+  const studySet = await generateStudySet({ videoId, ...cachedData, analysis, language });
+  await videoStore.setStudySet(videoId, language, studySet);
+  return studySet;
+}
+
+// Quiz and flashcards for a loaded video; format=anki downloads the flashcards as an Anki import file
+// Answers are left out unless includeAnswers=true, so the quiz can be taken and then graded
+app.get('/api/videos/:videoId/study', async (req, res, next) => {
+  try {
+    const { videoId } = req.params;
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!['json', 'anki'].includes(format)) {
+      throw new ValidationError('Unsupported study format. Use one of: json, anki', { code: 'unsupported_format' });
+    }
+
+    const cachedData = await videoStore.getTranscript(videoId);
+    if (!cachedData) {
+      throw new NotFoundError('Transcript not found. Please load the video first.', { code: 'video_not_loaded' });
+    }
+
+    const studySet = await getOrCreateStudySet(videoId, cachedData, req.query.language, {
+      regenerate: req.query.regenerate === 'true',
+      onGenerate: () => chargeWork(req.clientId, INGESTION_COST - 1)
+    });
+
+    if (format === 'anki') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${videoId}-flashcards.csv"`);
+      return res.send(renderAnkiCsv(studySet, { title: cachedData.metadata.title }));
+    }
+
+    res.json(req.query.includeAnswers === 'true' ? studySet : withoutAnswers(studySet));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/videos/:videoId/study/grade', async (req, res, next) => {
+  try {
+    const { videoId } = req.params;
+    const { language, answers } = req.body;
+    if (!Array.isArray(answers) || answers.length === 0 || answers.some(a => !a || typeof a.questionId !== 'string')) {
+      throw new ValidationError('answers must be a non-empty list of { questionId, answer }', { code: 'invalid_answers' });
+    }
+
+    const cachedData = await videoStore.getTranscript(videoId);
+    if (!cachedData) {
+      throw new NotFoundError('Transcript not found. Please load the video first.', { code: 'video_not_loaded' });
+    }
+
+    // Grade against the stored set; a missing set means the questions being answered were never handed out
+    const studySet = await videoStore.getStudySet(videoId, getPrompts(language || cachedData.language).locale);
+    if (!studySet) {
+      throw new NotFoundError('No quiz found for this video. Request the study material first.', { code: 'study_set_not_found' });
+    }
+
+    const unknown = answers.filter(a => !studySet.questions.some(q => q.id === a.questionId));
+    if (unknown.length > 0) {
+      throw new ValidationError('Unknown question IDs', {
+        code: 'unknown_question',
+        details: { questionIds: unknown.map(a => a.questionId) }
       });
-      throw new Error(
-        'Failed to load video captions. ' +
-        'Please ensure the video has either manual or auto-generated captions available.'
-      );
     }
+
+    res.json(await gradeAnswers({ studySet, answers, ...cachedData }));
   } catch (error) {
-    console.error('API error details:', {
-      error: error,
-      message: error.message,
-      stack: error.stack
+    next(error);
+  }
+});
+
+// Function to read a summary range bound given as a timestamp ("10:00") or a number of seconds
+function parseRangeBound(value, name) {
+  if (value === undefined || value === '') return null;
+  const seconds = /^\d+$/.test(value) ? Number(value) : timestampToSeconds(value);
+  if (seconds === null) {
+    throw new ValidationError(`${name} must be a timestamp like 10:00 or a number of seconds`, { code: 'invalid_range' });
+  }
+  return seconds;
+}
+
+// Function to load a cached summary or generate it, reusing the map-step notes of earlier whole-video summaries
+// onGenerate is called before a new summary is generated (not when joining one already under way)
+async function getOrCreateSummary(videoId, cachedData, { mode, language, range, regenerate, onGenerate = () => {} }) {
+  const key = mode === 'range' ? `range:${range.start}-${range.end}:${language}` : `${mode}:${language}`;
+  if (!regenerate) {
+    const cached = await videoStore.getSummary(videoId, key);
+    if (cached) return cached;
+  }
+
+  const pendingKey = `${videoId}:${key}`;
+  if (pendingSummaries.has(pendingKey)) return pendingSummaries.get(pendingKey);
+  onGenerate();
+
+  const pending = (async () => {
+    const analysis = await getOrCreateAnalysis(videoId, cachedData);
+    const notesKey = `notes:${language}`;
+    const { summary, citations, notes } = await summarize({
+      videoId,
+      ...cachedData,
+      analysis,
+      mode,
+      language,
+      range,
+      notes: regenerate ? null : await videoStore.getSummary(videoId, notesKey)
     });
-    res.status(500).json({ error: error.message });
+    if (notes) await videoStore.setSummary(videoId, notesKey, notes);
+
+    const result = {
+      videoId,
+      mode,
+      language,
+      range: range && { ...range, from: formatDuration(range.start), to: formatDuration(range.end) },
+      summary,
+      citations,
+      createdAt: new Date().toISOString()
+    };
+    await videoStore.setSummary(videoId, key, result);
+    return result;
+  })();
+
+  pendingSummaries.set(pendingKey, pending);
+  try {
+    return await pending;
+  } finally {
+    pendingSummaries.delete(pendingKey);
+  }
+}
+
+// Whole-video summary in one of SUMMARY_MODES; mode=range (implied by start/end) summarizes start to end only
+app.get('/api/videos/:videoId/summary', async (req, res, next) => {
+  try {
+    const { videoId } = req.params;
+    const start = parseRangeBound(req.query.start, 'start');
+    const end = parseRangeBound(req.query.end, 'end');
+    const mode = (req.query.mode || (start !== null || end !== null ? 'range' : 'executive')).toLowerCase();
+    if (!SUMMARY_MODES.includes(mode)) {
+      throw new ValidationError(`Unsupported summary mode. Use one of: ${SUMMARY_MODES.join(', ')}`, { code: 'unsupported_mode' });
+    }
+
+    const cachedData = await videoStore.getTranscript(videoId);
+    if (!cachedData) {
+      throw new NotFoundError('Transcript not found. Please load the video first.', { code: 'video_not_loaded' });
+    }
+
+    let range = null;
+    if (mode === 'range') {
+      const lastItem = cachedData.transcript[cachedData.transcript.length - 1];
+      const videoSeconds = cachedData.metadata.duration || (lastItem ? msToSeconds(lastItem.offset + lastItem.duration) : 0);
+      range = { start: start ?? 0, end: Math.min(end ?? videoSeconds, videoSeconds) };
+      if (range.start >= range.end) {
+        throw new ValidationError('start must be before end and inside the video', {
+          code: 'invalid_range',
+          details: { duration: formatDuration(videoSeconds) }
+        });
+      }
+    }
+
+    res.json(await getOrCreateSummary(videoId, cachedData, {
+      mode,
+      language: getPrompts(req.query.language || cachedData.language).locale,
+      range,
+      regenerate: req.query.regenerate === 'true',
+      onGenerate: () => chargeWork(req.clientId, INGESTION_COST - 1)
+    }));
+  } catch (error) {
+    next(error);
   }
 });
 
-app.post('/api/chat', async (req, res) => {
+// Full-text search over a loaded video's captions; hits may span caption items
+app.get('/api/videos/:videoId/search', async (req, res, next) => {
   try {
-    const { message, videoId } = req.body;
-    const cachedData = transcriptCache.get(videoId);
-    const analysis = videoAnalysisCache.get(videoId);
-
-    if (!cachedData || !analysis) {
-      return res.status(400).json({ error: 'Transcript not found. Please load the video first.' });
-    }
-
-    const { metadata, chunks, language } = cachedData;
-    
-    // Get relevant chunks based on the query
-    const relevantChunks = getRelevantChunks(chunks, message, analysis);
-    
-    // Create optimized context with detected language
-    const contextPrompt = createChatContext(message, metadata, analysis, relevantChunks, language);
-
-    const systemPrompt = language === 'ms'
-      ? `Anda adalah pembantu yang membantu menjawab soalan tentang video YouTube.
-         Gunakan analisis video dan bahagian transkrip yang disediakan.
-         Sentiasa rujuk timestamp tertentu apabila membincangkan bahagian video.
-         Jika maklumat tidak ada dalam konteks yang diberikan, nyatakan.
-         Format timestamp sebagai [MM:SS] atau [HH:MM:SS] untuk video yang lebih panjang.
-         Pastikan jawapan fokus dan ringkas sambil informatif.`
-      : `You are a helpful assistant that answers questions about YouTube videos.
-         Use the provided video analysis and relevant transcript sections.
-         Always reference specific timestamps when discussing parts of the video.
-         If the information isn't in the provided context, say so.
-         Format timestamps as [MM:SS] or [HH:MM:SS] for longer videos.
-         Keep responses focused and concise while being informative.`;
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini-2024-07-18",
-      messages: [
-        {
-          role: "system",
-          content: systemPrompt
-        },
-        { role: "user", content: contextPrompt }
-      ],
-      temperature: 0.7,
-      max_tokens: 1000
+    const { videoId } = req.params;
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+      throw new ValidationError('q is required', { code: 'query_required' });
+    }
+    if (query.length > 200) {
+      throw new ValidationError('q must be at most 200 characters', { code: 'query_too_long' });
+    }
+
+    const sort = req.query.sort || 'time';
+    if (!['time', 'relevance'].includes(sort)) {
+      throw new ValidationError('sort must be time or relevance', { code: 'invalid_sort' });
+    }
+    const limit = req.query.limit === undefined ? DEFAULT_SEARCH_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+      throw new ValidationError(`limit must be an integer between 1 and ${MAX_SEARCH_LIMIT}`, { code: 'invalid_limit' });
+    }
+
+    const cachedData = await videoStore.getTranscript(videoId);
+    if (!cachedData) {
+      throw new NotFoundError('Transcript not found. Please load the video first.', { code: 'video_not_loaded' });
+    }
+
+    const { total, results } = searchTranscript(cachedData.transcript, query, {
+      videoId,
+      fuzzy: req.query.fuzzy !== 'false',
+      sort,
+      limit
     });
+    res.json({ query, total, results });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/admin/usage', requireAdminKey(config.auth.adminKey), async (req, res, next) => {
+  try {
+    const { clientId, from, to } = req.query;
+    const dateFormat = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !dateFormat.test(from)) || (to && !dateFormat.test(to))) {
+      throw new ValidationError('from and to must be dates in YYYY-MM-DD format');
+    }
 
-    res.json({ response: completion.choices[0].message.content });
+    res.json({ clients: await usage.report({ clientId, from, to }) });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to process chat message: ' + error.message });
+    next(error);
   }
 });
 
+app.get('/api/videos/:videoId/progress', (req, res) => {
+  const progress = analysisProgress.get(req.params.videoId);
+  res.json(progress ? { running: true, ...progress } : { running: false });
+});
+
 // Add a test route
 app.get('/api/test', (req, res) => {
   res.json({ message: 'Backend is working!' });
 });
 
-const PORT = process.env.PORT || 3001;
+// Codes for the request errors the body parsers raise before any route runs, by their error type
+const BODY_ERROR_CODES = {
+  'entity.too.large': 'payload_too_large',
+  'encoding.unsupported': 'unsupported_encoding',
+  'charset.unsupported': 'unsupported_charset',
+  'request.aborted': 'request_aborted',
+  'request.size.invalid': 'invalid_content_length',
+  'parameters.too.many': 'too_many_parameters'
+};
+
+// Every route error ends up here: typed errors keep their status and code, anything else is a 500
+app.use((error, req, res, next) => {
+  // Malformed JSON bodies are rejected by express.json() before any route runs
+  if (error.type === 'entity.parse.failed') {
+    error = new ValidationError('Request body is not valid JSON', { code: 'invalid_json' });
+  } else if (!(error instanceof AppError) && error.expose && error.status >= 400 && error.status < 500) {
+    // Other client errors from the body parsers (413 too large, 415 unsupported encoding) keep their status
+    error = new AppError(error.message, {
+      status: error.status,
+      code: BODY_ERROR_CODES[error.type] || 'invalid_request',
+      cause: error
+    });
+  }
+
+  const appError = toAppError(error);
+  if (appError.status >= 500) {
+    logger.error('Request failed', { method: req.method, path: req.path, error });
+  } else {
+    logger.debug('Request rejected', { method: req.method, path: req.path, status: appError.status, code: appError.code });
+  }
+
+  if (res.headersSent) return next(error);
+  if (appError.retryAfter) res.set('Retry-After', String(appError.retryAfter));
+  res.status(appError.status).json(errorBody(appError, req.id));
+});
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+app.listen(config.port, () => {
+  logger.info('Server running', { port: config.port });
 }); 
\ No newline at end of file
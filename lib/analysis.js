@@ -0,0 +1,408 @@
+import { chunkTranscript } from './transcript.js';
+import { formatDuration, timestampToSeconds, normalizeTimestamp } from './time.js';
+import { estimateTokens } from './conversations.js';
+import { completeJson } from './llm.js';
+import { getPrompts, joinPrompt } from './prompts/index.js';
+import { fenceTranscript } from './safety.js';
+import { logger } from './logger.js';
+
+const ANALYSIS_WINDOW_TOKENS = 12000; // Transcripts longer than this are analyzed window by window
+const MAX_GAP_SECONDS = 180; // Coverage gaps longer than 3 minutes get a targeted follow-up
+const MAX_GAP_FOLLOWUPS = 5;
+const CHAPTER_MATCH_SECONDS = 15; // A topic this close to a chapter start counts as covering the chapter
+
+function getSystemPrompt(prompts) {
+  return joinPrompt(prompts.analysisSystem(), prompts.untrustedContent(), prompts.directive);
+}
+
+// Prompt for the whole video in one pass
+function getAnalysisPrompt(prompts, metadata, videoSeconds, chunks, transcriptText) {
+  return prompts.analysis({
+    title: metadata.title,
+    duration: formatDuration(videoSeconds),
+    segments: chunks.length,
+    transcript: transcriptText,
+    format: prompts.analysisFormat()
+  });
+}
+
+// Prompt for one window of a long video (the "map" step)
+function getWindowPrompt(prompts, metadata, videoSeconds, range, part, totalParts, transcriptText) {
+  return prompts.analysisWindow({
+    title: metadata.title,
+    duration: formatDuration(videoSeconds),
+    from: formatDuration(range.start),
+    to: formatDuration(range.end),
+    part,
+    totalParts,
+    transcript: transcriptText,
+    format: prompts.analysisFormat()
+  });
+}
+
+// Prompt that merges the per-window analyses into one (the "reduce" step)
+function getMergePrompt(prompts, metadata, videoSeconds, partials) {
+  const parts = JSON.stringify(partials.map(({ range, analysis }) => ({
+    from: formatDuration(range.start),
+    to: formatDuration(range.end),
+    ...analysis
+  })));
+
+  return prompts.analysisMerge({
+    title: metadata.title,
+    duration: formatDuration(videoSeconds),
+    parts,
+    format: prompts.analysisFormat()
+  });
+}
+
+// Prompt for a targeted follow-up on a section the analysis skipped
+function getGapPrompt(prompts, metadata, gap, transcriptText) {
+  return prompts.analysisGap({
+    title: metadata.title,
+    from: formatDuration(gap.start),
+    to: formatDuration(gap.end),
+    transcript: transcriptText
+  });
+}
+
+// Function to list the creator's chapters that start inside a range, so the model anchors its topics to them
+function getChapterNote(prompts, metadata, range = null) {
+  const chapters = (metadata.chapters || [])
+    .filter(chapter => !range || (chapter.start >= range.start && chapter.start < range.end));
+  if (chapters.length === 0) return '';
+
+  return prompts.analysisChapters(chapters.map(chapter => `${chapter.timestamp} ${chapter.title}`).join('\n       '));
+}
+
+// Function to lay out chunks as timestamped lines, fenced as untrusted transcript text
+export function formatChunks(chunks) {
+  return fenceTranscript(chunks.map(chunk =>
+    `[${formatDuration(chunk.startTime / 1000)}] ${chunk.text}`
+  ).join('\n'));
+}
+
+// Function to group chunks into windows that each fit in one analysis prompt
+export function splitIntoWindows(chunks, maxTokens = ANALYSIS_WINDOW_TOKENS) {
+  const windows = [];
+  let current = [];
+  let tokens = 0;
+
+  for (const chunk of chunks) {
+    const chunkTokens = estimateTokens(chunk.text);
+    if (current.length > 0 && tokens + chunkTokens > maxTokens) {
+      windows.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(chunk);
+    tokens += chunkTokens;
+  }
+  if (current.length > 0) windows.push(current);
+
+  return windows;
+}
+
+export function chunkRange(chunks) {
+  return {
+    start: chunks[0].startTime / 1000,
+    end: chunks[chunks.length - 1].endTime / 1000
+  };
+}
+
+// Function to make sure every analysis field exists, drop entries with unusable timestamps and
+// rewrite the rest in canonical M:SS / H:MM:SS form so later code can rely on them
+function normalizeAnalysis(analysis) {
+  const list = value => (Array.isArray(value) ? value : []).filter(entry => entry && typeof entry === 'object');
+  const text = value => typeof value === 'string' ? value : '';
+
+  return {
+    summary: text(analysis.summary),
+    mainTopics: list(analysis.mainTopics)
+      .map(t => ({ ...t, topic: text(t.topic), description: text(t.description), timestamp: normalizeTimestamp(t.timestamp) }))
+      .filter(t => t.topic && t.timestamp !== null),
+    keyConcepts: list(analysis.keyConcepts)
+      .map(c => ({ ...c, concept: text(c.concept), definition: text(c.definition) }))
+      .filter(c => c.concept),
+    timeline: list(analysis.timeline)
+      .map(t => ({ ...t, event: text(t.event), time: normalizeTimestamp(t.time) }))
+      .filter(t => t.event && t.time !== null)
+  };
+}
+
+function sortByTime(items, field) {
+  return [...items].sort((a, b) => timestampToSeconds(a[field]) - timestampToSeconds(b[field]));
+}
+
+// Function to add entries to a list, skipping any with the same timestamp and text as one already in it
+function addUnique(items, added, timeField, textField) {
+  const key = item => `${timestampToSeconds(item[timeField])}|${item[textField].trim().toLowerCase()}`;
+  const seen = new Set(items.map(key));
+  const result = [...items];
+  for (const item of added) {
+    if (seen.has(key(item))) continue;
+    seen.add(key(item));
+    result.push(item);
+  }
+  return result;
+}
+
+// Function to concatenate window analyses when the merge call is unavailable
+function concatenateAnalyses(analyses) {
+  const concepts = new Map();
+  for (const analysis of analyses) {
+    for (const concept of analysis.keyConcepts) {
+      const key = concept.concept.toLowerCase();
+      if (!concepts.has(key)) concepts.set(key, concept);
+    }
+  }
+
+  return {
+    summary: analyses.map(a => a.summary).filter(Boolean).join(' '),
+    mainTopics: sortByTime(analyses.flatMap(a => a.mainTopics), 'timestamp'),
+    keyConcepts: Array.from(concepts.values()),
+    timeline: sortByTime(analyses.flatMap(a => a.timeline), 'time')
+  };
+}
+
+// Function to find stretches of the video no topic or timeline entry points into
+export function findCoverageGaps(analysis, videoSeconds, maxGap = MAX_GAP_SECONDS) {
+  const timestamps = [
+    ...analysis.mainTopics.map(t => timestampToSeconds(t.timestamp)),
+    ...analysis.timeline.map(t => timestampToSeconds(t.time))
+  ].filter(t => t !== null && t <= videoSeconds).sort((a, b) => a - b);
+
+  const points = [0, ...timestamps, videoSeconds];
+  const gaps = [];
+
+  for (let i = 1; i < points.length; i++) {
+    if (points[i] - points[i - 1] > maxGap) {
+      gaps.push({ start: points[i - 1], end: points[i] });
+    }
+  }
+
+  return gaps;
+}
+
+// Function to get a short description of what is said at a point in the video
+function describeAt(chunks, seconds, length = 100) {
+  const chunk = chunks.find(c => c.endTime / 1000 > seconds) || chunks[chunks.length - 1];
+  return chunk ? chunk.text.slice(0, length) + '...' : '';
+}
+
+// Function to add a topic for every creator chapter the analysis did not cover
+function anchorToChapters(analysis, chapters = [], chunks = []) {
+  const topicSeconds = analysis.mainTopics.map(t => timestampToSeconds(t.timestamp));
+  const missing = chapters.filter(chapter =>
+    !topicSeconds.some(seconds => Math.abs(seconds - chapter.start) <= CHAPTER_MATCH_SECONDS)
+  );
+  if (missing.length === 0) return analysis;
+
+  return {
+    ...analysis,
+    mainTopics: sortByTime(analysis.mainTopics.concat(missing.map(chapter => ({
+      topic: chapter.title,
+      timestamp: chapter.timestamp,
+      description: describeAt(chunks, chapter.start)
+    }))), 'timestamp')
+  };
+}
+
+// Function to build a structured analysis straight from the chunks when the model output is unusable
+// Creator chapters, when the video has them, become the topics
+function fallbackAnalysis(metadata, videoSeconds, chunks) {
+  const range = chunks.length > 0 ? chunkRange(chunks) : { start: 0, end: videoSeconds };
+  const chapters = (metadata.chapters || []).filter(c => c.start >= range.start && c.start < range.end);
+
+  return {
+    summary: `${metadata.title} - ${formatDuration(videoSeconds)} video analysis`,
+    mainTopics: chapters.length > 0
+      ? chapters.map(chapter => ({
+        topic: chapter.title,
+        timestamp: chapter.timestamp,
+        description: describeAt(chunks, chapter.start)
+      }))
+      : chunks.filter((_, i) => i % 3 === 0).map((chunk, i) => ({
+        topic: `Section ${i + 1}`,
+        timestamp: formatDuration(chunk.startTime / 1000),
+        description: chunk.text.slice(0, 100) + '...'
+      })),
+    keyConcepts: [
+      {
+        concept: "Video Content",
+        definition: "Main content of the video"
+      }
+    ],
+    timeline: chunks.filter((_, i) => i % 2 === 0).map(chunk => ({
+      time: formatDuration(chunk.startTime / 1000),
+      event: chunk.text.slice(0, 50) + '...'
+    }))
+  };
+}
+
+// Analyzer: single pass for short videos, map-reduce over windows for long ones, then gap follow-ups
+// chunking is passed through to chunkTranscript so windows follow the same sentence boundaries as the stored chunks
+export function createAnalyzer({ llm, model, temperature = 0.3, chunking = {} }) {
+  // Function to request a JSON completion; throws SyntaxError when the model returns invalid JSON
+  async function requestJson(systemPrompt, userPrompt) {
+    const { data } = await completeJson(llm, {
+      model,
+      messages: [
+        {
+          role: "system",
+          content: systemPrompt
+        },
+        {
+          role: "user",
+          content: userPrompt
+        }
+      ],
+      temperature
+    });
+    return data;
+  }
+
+  // Function to re-analyze sections the validator found uncovered and merge the results in
+  async function fillCoverageGaps(analysis, metadata, videoSeconds, chunks, prompts, report) {
+    // Large gaps are split so each follow-up prompt still fits in one analysis window
+    const gaps = findCoverageGaps(analysis, videoSeconds)
+      .flatMap(gap => splitIntoWindows(chunks.filter(chunk =>
+        chunk.endTime / 1000 > gap.start && chunk.startTime / 1000 < gap.end
+      )).map(gapChunks => ({ ...chunkRange(gapChunks), chunks: gapChunks })))
+      .slice(0, MAX_GAP_FOLLOWUPS);
+    if (gaps.length === 0) return analysis;
+
+    logger.info('Analysis has gaps larger than 3 minutes, running follow-ups', { gaps: gaps.length });
+    const systemPrompt = getSystemPrompt(prompts);
+    let { mainTopics, timeline } = analysis;
+
+    for (const [i, gap] of gaps.entries()) {
+      report('filling-gaps', i, gaps.length);
+      const gapChunks = gap.chunks;
+
+      try {
+        const result = normalizeAnalysis(
+          await requestJson(systemPrompt, joinPrompt(
+            getGapPrompt(prompts, metadata, gap, formatChunks(gapChunks)),
+            getChapterNote(prompts, metadata, gap)
+          ))
+        );
+        const inGap = seconds => seconds >= gap.start && seconds <= gap.end;
+        // Gaps share their edges with covered entries, so a follow-up can repeat one of them
+        mainTopics = addUnique(mainTopics, result.mainTopics.filter(t => inGap(timestampToSeconds(t.timestamp))), 'timestamp', 'topic');
+        timeline = addUnique(timeline, result.timeline.filter(t => inGap(timestampToSeconds(t.time))), 'time', 'event');
+      } catch (error) {
+        logger.warn('Gap follow-up failed', {
+          from: formatDuration(gap.start),
+          to: formatDuration(gap.end),
+          error: error.message
+        });
+      }
+    }
+    report('filling-gaps', gaps.length, gaps.length);
+
+    return {
+      ...analysis,
+      mainTopics: sortByTime(mainTopics, 'timestamp'),
+      timeline: sortByTime(timeline, 'time')
+    };
+  }
+
+  // Function to analyze transcript and extract key concepts
+  // metadata.chapters (creator chapters from the description) are passed to the model as section anchors
+  // onProgress receives { stage, completed, total } as the analysis advances
+  async function analyzeTranscript(transcript, metadata, language = 'en', { onProgress = () => {} } = {}) {
+    // No overlap here: the model would read the repeated sentences twice
+    const { chunks } = chunkTranscript(transcript, { ...chunking, overlap: 0 });
+    const captionSeconds = chunks.length > 0 ? chunks[chunks.length - 1].endTime / 1000 : 0;
+    const videoSeconds = metadata.duration || captionSeconds;
+    // Analysis is written in the given language, using its templates or the English ones plus a language directive
+    const prompts = getPrompts(language);
+    const systemPrompt = getSystemPrompt(prompts);
+    const windows = splitIntoWindows(chunks);
+
+    const report = (stage, completed, total) => {
+      try {
+        onProgress({ stage, completed, total });
+      } catch (error) {
+        logger.warn('Progress callback failed', { error: error.message });
+      }
+    };
+
+    let analysis;
+
+    try {
+      if (windows.length <= 1) {
+        report('analyzing', 0, 1);
+        try {
+          analysis = normalizeAnalysis(await requestJson(
+            systemPrompt,
+            joinPrompt(
+              getAnalysisPrompt(prompts, metadata, videoSeconds, chunks, formatChunks(chunks)),
+              getChapterNote(prompts, metadata)
+            )
+          ));
+        } catch (error) {
+          if (!(error instanceof SyntaxError)) throw error;
+          // Create a structured fallback analysis; it still gets the chapter anchors below
+          analysis = fallbackAnalysis(metadata, videoSeconds, chunks);
+        }
+        report('analyzing', 1, 1);
+      } else {
+        // Map: analyze each window on its own
+        const partials = [];
+        for (const [i, windowChunks] of windows.entries()) {
+          report('analyzing', i, windows.length);
+          const range = chunkRange(windowChunks);
+          let partial;
+          try {
+            partial = normalizeAnalysis(await requestJson(
+              systemPrompt,
+              joinPrompt(
+                getWindowPrompt(prompts, metadata, videoSeconds, range, i + 1, windows.length, formatChunks(windowChunks)),
+                getChapterNote(prompts, metadata, range)
+              )
+            ));
+          } catch (error) {
+            if (!(error instanceof SyntaxError)) throw error;
+            partial = fallbackAnalysis(metadata, videoSeconds, windowChunks);
+          }
+          partials.push({ range, analysis: partial });
+        }
+        report('analyzing', windows.length, windows.length);
+
+        // Reduce: merge the window analyses into one
+        report('merging', 0, 1);
+        const concatenated = concatenateAnalyses(partials.map(p => p.analysis));
+        try {
+          const merged = normalizeAnalysis(
+            await requestJson(systemPrompt, joinPrompt(
+              getMergePrompt(prompts, metadata, videoSeconds, partials),
+              getChapterNote(prompts, metadata)
+            ))
+          );
+          // Keep the concatenated entries if the merge dropped everything
+          analysis = {
+            summary: merged.summary || concatenated.summary,
+            mainTopics: merged.mainTopics.length > 0 ? merged.mainTopics : concatenated.mainTopics,
+            keyConcepts: merged.keyConcepts.length > 0 ? merged.keyConcepts : concatenated.keyConcepts,
+            timeline: merged.timeline.length > 0 ? merged.timeline : concatenated.timeline
+          };
+        } catch (error) {
+          logger.warn('Failed to merge window analyses, using concatenation', { error: error.message });
+          analysis = concatenated;
+        }
+        report('merging', 1, 1);
+      }
+
+      // Chapters are anchors: each one gets a topic, which also counts towards gap coverage
+      analysis = anchorToChapters(analysis, metadata.chapters, chunks);
+      return await fillCoverageGaps(analysis, metadata, videoSeconds, chunks, prompts, report);
+    } catch (error) {
+      logger.error('Analysis failed', { error });
+      throw error;
+    }
+  }
+
+  return { analyzeTranscript };
+}
@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+import { ForbiddenError, UnauthorizedError } from './errors.js';
+
+// Keys are only kept as hashes so they never sit in memory or logs in plain text
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+// Function to read API_KEYS ("mobile:key1,partner:key2") into a map of key hash -> client ID
+// A key without a "client:" prefix gets a client ID derived from its hash
+export function parseApiKeys(value = '') {
+  const keys = new Map();
+
+  for (const entry of value.split(',').map(e => e.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const key = separator > 0 ? entry.slice(separator + 1) : entry;
+    const clientId = separator > 0 ? entry.slice(0, separator) : `key-${hashKey(key).toString('hex').slice(0, 8)}`;
+    keys.set(hashKey(key).toString('hex'), clientId);
+  }
+
+  return keys;
+}
+
+// Function to read the key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+export function getPresentedKey(req) {
+  const bearer = req.get('Authorization')?.match(/^Bearer\s+(\S+)\s*$/i);
+  return bearer ? bearer[1] : req.get('X-API-Key') || null;
+}
+
+// Middleware: identifies the client by API key and sets req.clientId
+// With no keys configured authentication is off and clients are told apart by IP address
+export function createApiKeyAuth({ keys = parseApiKeys(), isPublic = () => false } = {}) {
+  if (keys.size === 0) {
+    logger.warn('API_KEYS is not set: API key authentication is disabled');
+  }
+
+  return (req, res, next) => {
+    if (keys.size === 0 || isPublic(req)) {
+      req.clientId = `ip:${req.ip}`;
+      return next();
+    }
+
+    const key = getPresentedKey(req);
+    if (!key) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return next(new UnauthorizedError('API key required. Send it as "Authorization: Bearer <key>".', {
+        code: 'api_key_required'
+      }));
+    }
+
+    const clientId = keys.get(hashKey(key).toString('hex'));
+    if (!clientId) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return next(new UnauthorizedError('Invalid API key', { code: 'invalid_api_key' }));
+    }
+
+    req.clientId = clientId;
+    next();
+  };
+}
+
+// Middleware: only lets through requests carrying ADMIN_API_KEY
+export function requireAdminKey(adminKey = null) {
+  return (req, res, next) => {
+    if (!adminKey) {
+      return next(new ForbiddenError('Admin API is disabled. Set ADMIN_API_KEY to enable it.', { code: 'admin_disabled' }));
+    }
+
+    const key = getPresentedKey(req);
+    if (!key || !crypto.timingSafeEqual(hashKey(key), hashKey(adminKey))) {
+      return next(new ForbiddenError('Admin API key required', { code: 'admin_key_required' }));
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,270 @@
+import { DOMParser } from 'xmldom';
+import { decodeHTML } from 'entities';
+import { CaptionParseError } from './errors.js';
+import { logger } from './logger.js';
+
+const DEFAULT_ITEM_DURATION = 2000; // Used when a caption does not say how long it lasts
+
+// Function to turn whatever a caption source returned into a string
+export function captionPayloadToString(payload) {
+  if (payload == null) return '';
+  if (typeof payload === 'string') return payload;
+  if (Buffer.isBuffer(payload)) return payload.toString('utf8');
+  if (payload instanceof ArrayBuffer) return Buffer.from(payload).toString('utf8');
+  if (ArrayBuffer.isView(payload)) return Buffer.from(payload.buffer, payload.byteOffset, payload.byteLength).toString('utf8');
+  if (typeof payload === 'object') return JSON.stringify(payload);
+  return String(payload);
+}
+
+// Function to detect which caption format a payload is in
+export function detectCaptionFormat(raw) {
+  const text = captionPayloadToString(raw).replace(/^\uFEFF/, '').trimStart();
+  if (!text) return null;
+
+  if (text.startsWith('{')) {
+    try {
+      const json = JSON.parse(text);
+      return Array.isArray(json.events) ? 'json3' : null;
+    } catch {
+      return null;
+    }
+  }
+
+  if (/^WEBVTT/.test(text)) return 'vtt';
+  if (/<timedtext[^>]*format="3"/.test(text) || /<p\s[^>]*\bt="\d+"/.test(text)) return 'srv3';
+  if (/<transcript[\s>]/.test(text) || /<text\s[^>]*\bstart=/.test(text)) return 'timedtext';
+  if (/^\d+\s*\r?\n\s*\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}\s*-->/.test(text)) return 'srt';
+  if (/\d{1,2}:\d{2}(:\d{2})?[,.]\d{1,3}\s*-->\s*\d{1,2}:\d{2}/.test(text)) return 'srt';
+
+  return null;
+}
+
+// Inline markup caption formats use: WebVTT voice, class, language and ruby spans, cue timestamps
+// ("<00:01:02.500>"), and the <i>, <b>, <u> and <font> tags of SRT and timedtext. Anything else that looks
+// like a tag ("x < 10 and y > 5") is speech and stays
+const CAPTION_TAG = /<\/?(?:[ibu]|c|v|lang|ruby|rt|font)(?:[.\s][^<>]*)?>|<(?:\d{1,2}:)?\d{2}:\d{2}[.,]\d{3}>/gi;
+
+// Function to clean caption text: decode HTML entities once, then strip inline caption markup
+// decode is false for text an XML parser already decoded (srv3) or that was never escaped (json3); timedtext
+// needs the one pass because YouTube escapes it twice ("&amp;#39;"). Decoding any further would turn text
+// that really says "&lt;" into "<"
+export function decodeCaptionText(text, { decode = true } = {}) {
+  if (!text) return '';
+  return (decode ? decodeHTML(text) : text)
+    .replace(CAPTION_TAG, '')
+    .replace(/\u00a0/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Function to convert an SRT/VTT cue timestamp (HH:MM:SS,mmm or MM:SS.mmm) to milliseconds
+function parseCueTimestamp(value) {
+  const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/);
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds, millis = '0'] = match;
+  return (parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(seconds)) * 1000 +
+    parseInt(millis.padEnd(3, '0'));
+}
+
+function makeItem(text, offset, duration, decodeOptions) {
+  return {
+    text: decodeCaptionText(text, decodeOptions),
+    offset,
+    duration: duration || DEFAULT_ITEM_DURATION
+  };
+}
+
+// Function to split SRT/VTT text into cue blocks with their timing lines
+function parseCueBlocks(text) {
+  const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const cues = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    const [startRaw, rest = ''] = lines[timingIndex].split('-->');
+    const endRaw = rest.trim().split(/\s+/)[0];
+    const start = parseCueTimestamp(startRaw);
+    const end = parseCueTimestamp(endRaw);
+    if (start === null) continue;
+
+    cues.push({
+      start,
+      end: end !== null && end > start ? end : null,
+      lines: lines.slice(timingIndex + 1).filter(line => line.trim().length > 0)
+    });
+  }
+
+  return cues;
+}
+
+function parseSrt(text) {
+  return parseCueBlocks(text).map(cue =>
+    makeItem(cue.lines.join(' '), cue.start, cue.end !== null ? cue.end - cue.start : 0)
+  );
+}
+
+function parseVtt(text) {
+  const items = [];
+  let previousLines = [];
+  let previousEnd = -1;
+
+  for (const cue of parseCueBlocks(text)) {
+    // Auto-generated VTT repeats the previous line at the top of each cue ("roll-up" captions). Those cues
+    // overlap the previous one or start the moment it ends; a line said again after a pause is kept
+    const rollUp = cue.start <= previousEnd;
+    const lines = cue.lines
+      .map(line => decodeCaptionText(line))
+      .filter(line => line.length > 0 && !(rollUp && previousLines.includes(line)));
+
+    if (cue.lines.length > 0) {
+      previousLines = cue.lines.map(line => decodeCaptionText(line));
+      previousEnd = cue.end ?? cue.start;
+    }
+    if (lines.length === 0) continue;
+
+    items.push(makeItem(lines.join(' '), cue.start, cue.end !== null ? cue.end - cue.start : 0));
+  }
+
+  return items;
+}
+
+function parseXml(text) {
+  const parser = new DOMParser({
+    errorHandler: { warning: () => {}, error: () => {}, fatalError: message => { throw new Error(message); } }
+  });
+  return parser.parseFromString(text, 'text/xml');
+}
+
+function parseTimedText(text) {
+  const xmlDoc = parseXml(text);
+  const textNodes = xmlDoc.getElementsByTagName('text');
+
+  return Array.from(textNodes).map(node => {
+    const start = parseFloat(node.getAttribute('start') || '0') * 1000;
+    const duration = parseFloat(node.getAttribute('dur') || '0') * 1000;
+    return makeItem(node.textContent || '', start, duration);
+  });
+}
+
+function parseSrv3(text) {
+  const xmlDoc = parseXml(text);
+  const paragraphs = xmlDoc.getElementsByTagName('p');
+
+  return Array.from(paragraphs).map(node => {
+    const start = parseInt(node.getAttribute('t') || '0', 10);
+    const duration = parseInt(node.getAttribute('d') || '0', 10);
+    const segments = Array.from(node.getElementsByTagName('s'));
+    const content = segments.length > 0
+      ? segments.map(s => s.textContent || '').join('')
+      : node.textContent || '';
+    return makeItem(content, start, duration, { decode: false });
+  });
+}
+
+function parseJson3(text) {
+  const { events = [] } = JSON.parse(text);
+
+  return events
+    .filter(event => Array.isArray(event.segs))
+    .map(event => makeItem(
+      event.segs.map(seg => seg.utf8 || '').join(''),
+      event.tStartMs || 0,
+      event.dDurationMs || 0,
+      { decode: false }
+    ));
+}
+
+// Speaking rate used to time plain text transcripts that carry no timestamps
+const WORDS_PER_SECOND = 2.5;
+const LINE_TIMESTAMP = /^[[(]?((?:\d{1,2}:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)[\])]?(?:\s*[-–—|]\s*|\s+|$)(.*)$/;
+
+function estimateSpeechDuration(text) {
+  return Math.max(1000, Math.round((text.split(/\s+/).filter(Boolean).length / WORDS_PER_SECOND) * 1000));
+}
+
+// Function to parse a plain text transcript: { items, estimated }
+// Lines starting with a timestamp ("0:05 text", "[01:02:03] text", or a timestamp on its own line followed
+// by the text, as copied from YouTube's transcript panel) start a caption; other lines continue the previous one.
+// Without any timestamps every paragraph line becomes a caption timed by a typical speaking rate (estimated: true)
+export function parsePlainTranscript(raw) {
+  const lines = captionPayloadToString(raw).replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.trim());
+  const timed = lines.some(line => LINE_TIMESTAMP.test(line));
+
+  if (!timed) {
+    const items = [];
+    let offset = 0;
+    for (const line of lines.filter(Boolean)) {
+      const item = makeItem(line, offset, estimateSpeechDuration(line));
+      if (!item.text) continue;
+      items.push(item);
+      offset += item.duration;
+    }
+    return { items, estimated: true };
+  }
+
+  const cues = [];
+  for (const line of lines) {
+    const match = line.match(LINE_TIMESTAMP);
+    if (match) {
+      cues.push({ start: parseCueTimestamp(match[1]), text: match[2] });
+    } else if (line && cues.length > 0) {
+      const cue = cues[cues.length - 1];
+      cue.text = cue.text ? `${cue.text} ${line}` : line;
+    }
+  }
+
+  const items = cues
+    .filter(cue => cue.start !== null)
+    .sort((a, b) => a.start - b.start)
+    .map((cue, i, sorted) => {
+      const next = sorted[i + 1];
+      return makeItem(cue.text, cue.start, next ? next.start - cue.start : estimateSpeechDuration(cue.text));
+    })
+    .filter(item => item.text.length > 0);
+
+  return { items, estimated: false };
+}
+
+const parsers = {
+  srt: parseSrt,
+  vtt: parseVtt,
+  srv3: parseSrv3,
+  json3: parseJson3,
+  timedtext: parseTimedText,
+  // Never auto-detected: anything that is not a caption file would parse as plain text
+  text: text => parsePlainTranscript(text).items
+};
+
+export const CAPTION_FORMATS = Object.keys(parsers);
+
+// Function to parse any supported caption payload into {text, offset, duration} items (milliseconds)
+export function parseCaptions(raw, format = null) {
+  const text = captionPayloadToString(raw).replace(/^\uFEFF/, '');
+  const detectedFormat = format || detectCaptionFormat(text);
+
+  if (!detectedFormat || !parsers[detectedFormat]) {
+    throw new CaptionParseError('Unrecognized caption format');
+  }
+
+  try {
+    return parsers[detectedFormat](text)
+      .filter(item => item.text.length > 0)
+      .sort((a, b) => a.offset - b.offset);
+  } catch (error) {
+    logger.warn('Failed to parse captions', { format: detectedFormat, error: error.message });
+    throw new CaptionParseError(`Failed to parse ${detectedFormat} captions`, { cause: error });
+  }
+}
+
+// Function to check whether a payload contains captions we can use
+export function isParsableCaption(raw) {
+  if (!detectCaptionFormat(raw)) return false;
+  try {
+    return parseCaptions(raw).length > 0;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,108 @@
+import { formatDuration, timestampToSeconds } from './time.js';
+import { videoDeepLink } from './export.js';
+
+const CONTEXT_TOLERANCE_SECONDS = 15; // How far outside a retrieved chunk a cited time may fall and still count as supported
+const QUOTE_LENGTH = 160;
+
+// Function to pull [MM:SS] / [HH:MM:SS] references out of a chat answer
+// Also reads lists and ranges inside one bracket: [1:23, 4:56] and [1:23-4:56]
+export function extractTimestampReferences(text) {
+  const references = [];
+  const seen = new Set();
+
+  for (const bracket of text.matchAll(/\[((?:\d{1,2}:)?\d{1,2}:\d{2}(?:\s*[-–,]\s*(?:\d{1,2}:)?\d{1,2}:\d{2})*)\]/g)) {
+    for (const label of bracket[1].split(/\s*[-–,]\s*/)) {
+      const seconds = timestampToSeconds(label);
+      if (seconds === null || seen.has(label)) continue;
+      seen.add(label);
+      references.push({ timestamp: label, seconds });
+    }
+  }
+
+  return references;
+}
+
+// Function to find the caption playing at a time, or the one starting closest to it
+function nearestCaption(items, seconds) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+
+  for (const [index, item] of items.entries()) {
+    const start = item.offset / 1000;
+    const end = start + (item.duration || 0) / 1000;
+    if (seconds >= start && seconds < end) return index;
+
+    const distance = Math.abs(start - seconds);
+    if (distance < nearestDistance) {
+      nearest = index;
+      nearestDistance = distance;
+    }
+  }
+
+  return nearest;
+}
+
+// Function to quote the caption at an index, adding following captions until the quote is long enough to read
+function quoteFrom(items, index) {
+  const parts = [];
+  let length = 0;
+  for (let i = index; i < items.length && length < QUOTE_LENGTH / 2; i++) {
+    parts.push(items[i].text);
+    length += items[i].text.length + 1;
+  }
+
+  const quote = parts.join(' ');
+  return quote.length > QUOTE_LENGTH ? quote.slice(0, QUOTE_LENGTH).trimEnd() + '...' : quote;
+}
+
+// Function to snap a time to the nearest real caption: { seconds, timestamp, text } (null without captions)
+export function snapToCaption(items, seconds) {
+  const index = nearestCaption(items, seconds);
+  if (index === null) return null;
+
+  const snapped = Math.floor(items[index].offset / 1000);
+  return { seconds: snapped, timestamp: formatDuration(snapped), text: quoteFrom(items, index) };
+}
+
+// Function to check the timestamps cited in an answer against the transcript and snap them to real captions
+// status is "verified" (inside the chunks the model was given), "unsupported" (a real moment the model was
+// not shown) or "invalid" (past the end of the video or with no captions to snap to)
+export function validateCitations(text, { videoId, transcript, relevantChunks = [], duration = null }) {
+  const lastCaption = transcript[transcript.length - 1];
+  const captionEnd = lastCaption ? (lastCaption.offset + (lastCaption.duration || 0)) / 1000 : 0;
+  const videoSeconds = duration || captionEnd;
+
+  const contextItems = relevantChunks.flatMap(chunk => chunk.items || []);
+  const inContext = seconds => relevantChunks.some(chunk =>
+    seconds >= chunk.startTime / 1000 - CONTEXT_TOLERANCE_SECONDS &&
+    seconds <= chunk.endTime / 1000 + CONTEXT_TOLERANCE_SECONDS
+  );
+
+  return extractTimestampReferences(text).map(({ timestamp, seconds }) => {
+    if (seconds > videoSeconds || transcript.length === 0) {
+      return {
+        timestamp: null,
+        citedTimestamp: timestamp,
+        seconds: null,
+        citedSeconds: seconds,
+        status: 'invalid',
+        text: null,
+        url: null
+      };
+    }
+
+    // Prefer snapping to the captions the model actually saw
+    const supported = inContext(seconds) && contextItems.length > 0;
+    const snapped = snapToCaption(supported ? contextItems : transcript, seconds);
+
+    return {
+      timestamp: snapped.timestamp,
+      citedTimestamp: timestamp,
+      seconds: snapped.seconds,
+      citedSeconds: seconds,
+      status: supported ? 'verified' : 'unsupported',
+      text: snapped.text,
+      url: videoDeepLink(videoId, snapped.seconds)
+    };
+  });
+}
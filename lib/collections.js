@@ -0,0 +1,64 @@
+import { formatDuration, timestampToSeconds } from './time.js';
+import { videoDeepLink } from './export.js';
+
+// Most videos we ingest from one playlist or channel
+export const MAX_COLLECTION_VIDEOS = 50;
+
+// Function to wrap a storage backend with playlist/channel collection records
+// Records are kept per API client (collection.clientId): collection IDs come from the playlist or channel, so
+// two clients loading the same playlist each get their own record and neither can read the other's
+export function createCollectionStore(store) {
+  const key = (clientId, id) => `collection:${encodeURIComponent(clientId)}:${id}`;
+
+  return {
+    get: (id, clientId) => store.get(key(clientId, id)),
+
+    async save(collection) {
+      collection.updatedAt = new Date().toISOString();
+      await store.set(key(collection.clientId, collection.id), collection);
+    }
+  };
+}
+
+// Function to format the citation label the model is asked to copy: [Video title @ MM:SS]
+export function citationLabel(title, seconds) {
+  return `[${title.replace(/[[\]@]/g, '')} @ ${formatDuration(seconds)}]`;
+}
+
+// Function to find which collection video a cited title refers to
+function matchVideoTitle(citedTitle, videos) {
+  const normalize = text => text.toLowerCase().replace(/[[\]@]/g, '').replace(/\s+/g, ' ').trim();
+  const cited = normalize(citedTitle);
+
+  return videos.find(v => normalize(v.title) === cited) ||
+    videos.find(v => normalize(v.title).includes(cited) || cited.includes(normalize(v.title))) ||
+    null;
+}
+
+// Function to pull [Video title @ MM:SS] citations out of a collection answer
+export function extractCollectionCitations(text, videos) {
+  const citations = [];
+  const seen = new Set();
+
+  for (const match of text.matchAll(/\[([^[\]@]+?)\s*@\s*((?:\d{1,2}:)?\d{1,2}:\d{2})\]/g)) {
+    const video = matchVideoTitle(match[1], videos);
+    if (!video) continue;
+
+    const timestamp = match[2];
+    const seconds = timestampToSeconds(timestamp);
+    if (seconds === null) continue;
+    const key = `${video.videoId}:${seconds}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    citations.push({
+      videoId: video.videoId,
+      title: video.title,
+      timestamp,
+      seconds,
+      url: videoDeepLink(video.videoId, seconds)
+    });
+  }
+
+  return citations;
+}
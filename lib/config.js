@@ -0,0 +1,256 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { getModelSettings } from './llm.js';
+import { ConfigError } from './errors.js';
+import { LOG_LEVELS, LOG_FORMATS } from './logger.js';
+import { HTTP_MODES } from './http.js';
+import { MAX_MESSAGE_LENGTH } from './safety.js';
+
+// Origins allowed before CORS_ORIGINS existed; still the default so local development keeps working.
+// All exact: credentials are allowed, so wildcards are something a deployment opts in to through CORS_ORIGINS
+const DEFAULT_CORS_ORIGINS = [
+  'http://localhost:5173',
+  'http://127.0.0.1:5173',
+  'http://localhost:5174',
+  'http://127.0.0.1:5174',
+  'http://192.168.1.100:5173',
+  'http://192.168.1.100:5174',
+  'https://youtube-chat-beryl.vercel.app',
+  'https://youtube-chat-git-main-baqhtear.vercel.app',
+  'https://youtube-chat-baqhtear.vercel.app'
+];
+
+const LLM_PROVIDERS = ['openai', 'azure', 'ollama', 'anthropic', 'mock'];
+const STORE_BACKENDS = ['file', 'memory'];
+
+// Environment variables each LLM provider cannot start without
+const PROVIDER_ENV = {
+  openai: ['OPENAI_API_KEY'],
+  azure: ['AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_DEPLOYMENT'],
+  anthropic: ['ANTHROPIC_API_KEY'],
+  ollama: [],
+  mock: []
+};
+
+// Function to turn an allowed-origin entry into what the cors package accepts:
+// "/^https:\/\/.*\.example\.com$/i" is a regex, "https://app-*.vercel.app" a wildcard, anything else an exact origin
+export function parseOriginPattern(pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) return new RegExp(regex[1], regex[2]);
+
+  if (pattern.includes('*')) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('[^/]*')}$`);
+  }
+
+  return pattern;
+}
+
+// Function to read the optional JSON config file (CONFIG_FILE, or config.json in the working directory)
+function readConfigFile(env, errors) {
+  const file = env.CONFIG_FILE || path.resolve('config.json');
+  if (!fs.existsSync(file)) {
+    if (env.CONFIG_FILE) errors.push(`CONFIG_FILE ${file} does not exist`);
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    errors.push(`Config file ${file} is not valid JSON: ${error.message}`);
+    return {};
+  }
+}
+
+// Function to check service account credentials and return the GoogleAuth options for them
+function loadGoogleCredentials(env, errors, warnings) {
+  const checkServiceAccount = (credentials, source) => {
+    const missing = ['client_email', 'private_key'].filter(field => !credentials[field]);
+    if (missing.length > 0) {
+      errors.push(`${source} is missing ${missing.join(' and ')}; expected a service account key`);
+    }
+  };
+
+  if (env.GOOGLE_APPLICATION_CREDENTIALS_JSON) {
+    try {
+      const credentials = JSON.parse(env.GOOGLE_APPLICATION_CREDENTIALS_JSON);
+      checkServiceAccount(credentials, 'GOOGLE_APPLICATION_CREDENTIALS_JSON');
+      return { credentials };
+    } catch (error) {
+      errors.push(`GOOGLE_APPLICATION_CREDENTIALS_JSON is not valid JSON: ${error.message}`);
+      return {};
+    }
+  }
+
+  if (env.GOOGLE_APPLICATION_CREDENTIALS) {
+    const keyFile = env.GOOGLE_APPLICATION_CREDENTIALS;
+    try {
+      checkServiceAccount(JSON.parse(fs.readFileSync(keyFile, 'utf8')), `Key file ${keyFile}`);
+    } catch (error) {
+      errors.push(`GOOGLE_APPLICATION_CREDENTIALS key file ${keyFile} cannot be read: ${error.message}`);
+    }
+    return { keyFile };
+  }
+
+  if (env.NODE_ENV === 'production') {
+    errors.push('Set GOOGLE_APPLICATION_CREDENTIALS_JSON to the service account key for the YouTube Data API');
+  } else {
+    warnings.push('No Google service account configured, falling back to application default credentials');
+  }
+  return {};
+}
+
+// Function to load and validate the runtime configuration
+// Precedence: environment variables, then the config file, then the defaults below
+export function loadConfig(env = process.env) {
+  const errors = [];
+  const warnings = [];
+  const file = readConfigFile(env, errors);
+
+  // Function to read a number setting and check it is within range
+  const number = (envName, fileValue, fallback, { min = 0, max = Infinity, integer = false } = {}) => {
+    const raw = env[envName] ?? fileValue;
+    if (raw === undefined || raw === '') return fallback;
+
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+      errors.push(`${envName} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max} (got "${raw}")`);
+      return fallback;
+    }
+    return value;
+  };
+
+  const provider = env.LLM_PROVIDER || file.llm?.provider || 'openai';
+  if (!LLM_PROVIDERS.includes(provider)) {
+    errors.push(`LLM_PROVIDER must be one of ${LLM_PROVIDERS.join(', ')} (got "${provider}")`);
+  }
+  for (const name of PROVIDER_ENV[provider] || []) {
+    if (!env[name]) errors.push(`${name} is required when LLM_PROVIDER is ${provider}`);
+  }
+
+  const embeddingProvider = env.EMBEDDING_PROVIDER || file.embedding?.provider || (env.OPENAI_API_KEY ? 'openai' : 'local');
+  if (embeddingProvider === 'openai' && !env.OPENAI_API_KEY && provider !== 'openai') {
+    errors.push('OPENAI_API_KEY is required when EMBEDDING_PROVIDER is openai');
+  }
+
+  const originList = env.CORS_ORIGINS
+    ? env.CORS_ORIGINS.split(',').map(o => o.trim()).filter(Boolean)
+    : file.cors?.origins || DEFAULT_CORS_ORIGINS;
+  const origins = [];
+  for (const pattern of originList) {
+    try {
+      origins.push(parseOriginPattern(pattern));
+    } catch (error) {
+      errors.push(`CORS origin pattern ${pattern} is not a valid regular expression: ${error.message}`);
+    }
+  }
+
+  const defaultModels = getModelSettings(provider);
+
+  const logLevel = env.LOG_LEVEL || file.logging?.level || 'info';
+  if (!LOG_LEVELS[logLevel]) {
+    errors.push(`LOG_LEVEL must be one of ${Object.keys(LOG_LEVELS).join(', ')} (got "${logLevel}")`);
+  }
+  const logFormat = env.LOG_FORMAT || file.logging?.format || (env.NODE_ENV === 'production' ? 'json' : 'pretty');
+  if (!LOG_FORMATS.includes(logFormat)) {
+    errors.push(`LOG_FORMAT must be one of ${LOG_FORMATS.join(', ')} (got "${logFormat}")`);
+  }
+
+  const httpMode = env.HTTP_MODE || file.http?.mode || 'live';
+  if (!HTTP_MODES.includes(httpMode)) {
+    errors.push(`HTTP_MODE must be one of ${HTTP_MODES.join(', ')} (got "${httpMode}")`);
+  }
+  const storeBackend = env.STORE_BACKEND || file.store?.backend || 'file';
+  if (!STORE_BACKENDS.includes(storeBackend)) {
+    errors.push(`STORE_BACKEND must be one of ${STORE_BACKENDS.join(', ')} (got "${storeBackend}")`);
+  }
+
+  // API keys are secrets, so they only come from the environment: "client:key,other:key2"
+  const apiKeys = env.API_KEYS || '';
+  for (const entry of apiKeys.split(',').map(e => e.trim()).filter(Boolean)) {
+    if (entry.endsWith(':')) errors.push(`API_KEYS entry "${entry}" has a client name but no key`);
+  }
+
+  const moderation = env.SAFETY_MODERATION ?? file.safety?.moderation ?? false;
+  if (![true, false, 'true', 'false'].includes(moderation)) {
+    errors.push(`SAFETY_MODERATION must be true or false (got "${moderation}")`);
+  }
+
+  // Per-host timeouts only come from the config file: { "www.youtube.com": 5000, ... }
+  const hostTimeouts = file.http?.timeouts || {};
+  for (const [host, value] of Object.entries(hostTimeouts)) {
+    if (!Number.isInteger(value) || value <= 0) {
+      errors.push(`http.timeouts.${host} must be a positive number of milliseconds (got "${value}")`);
+    }
+  }
+
+  const config = {
+    env: env.NODE_ENV || 'development',
+    port: number('PORT', file.port, 3001, { min: 1, max: 65535, integer: true }),
+    // "*" allows any origin
+    cors: { origins: originList.includes('*') ? true : origins },
+    google: loadGoogleCredentials(env, errors, warnings),
+    logging: { level: logLevel, format: logFormat },
+    llm: {
+      provider,
+      analysisModel: env.ANALYSIS_MODEL || file.llm?.analysisModel || defaultModels.analysisModel,
+      chatModel: env.CHAT_MODEL || file.llm?.chatModel || defaultModels.chatModel,
+      analysisTemperature: number('ANALYSIS_TEMPERATURE', file.llm?.analysisTemperature, 0.3, { max: 2 }),
+      chatTemperature: number('CHAT_TEMPERATURE', file.llm?.chatTemperature, 0.7, { max: 2 }),
+      chatMaxTokens: number('CHAT_MAX_TOKENS', file.llm?.chatMaxTokens, 1000, { min: 1, integer: true })
+    },
+    embedding: { provider: embeddingProvider },
+    store: {
+      backend: storeBackend,
+      dir: path.resolve(env.STORE_DIR || file.store?.dir || path.join(os.tmpdir(), 'youtube-chat-store')),
+      // Cached video data only; conversations, collections and usage are never evicted
+      maxEntries: number('STORE_MAX_ENTRIES', file.store?.maxEntries, 500, { min: 1, integer: true }),
+      ttl: number('STORE_TTL_HOURS', file.store?.ttlHours, 7 * 24, { min: 0 }) * 60 * 60 * 1000 // 0: no expiry
+    },
+    auth: {
+      apiKeys,
+      adminKey: env.ADMIN_API_KEY || null
+    },
+    rateLimit: {
+      burst: number('RATE_LIMIT_BURST', file.rateLimit?.burst, 30, { min: 1, integer: true }),
+      perMinute: number('RATE_LIMIT_PER_MINUTE', file.rateLimit?.perMinute, 30, { min: 0.01 })
+    },
+    chunking: {
+      maxChunkLength: number('MAX_CHUNK_LENGTH', file.chunking?.maxChunkLength, 1500, { min: 100, integer: true }),
+      // Characters of whole sentences repeated from the end of one chunk at the start of the next
+      overlap: number('CHUNK_OVERLAP', file.chunking?.overlap, 200, { min: 0, integer: true })
+    },
+    retrieval: {
+      // How far either side of a referenced time chunks are pulled in
+      timeWindowSeconds: number('RETRIEVAL_WINDOW_SECONDS', file.retrieval?.timeWindowSeconds, 300, { min: 0 }),
+      topK: number('RETRIEVAL_TOP_K', file.retrieval?.topK, 6, { min: 1, integer: true }),
+      tokenBudget: number('RETRIEVAL_TOKEN_BUDGET', file.retrieval?.tokenBudget, 3000, { min: 100, integer: true }),
+      lexicalWeight: number('RETRIEVAL_LEXICAL_WEIGHT', file.retrieval?.lexicalWeight, 0.3, { max: 1 })
+    },
+    http: {
+      // "record" saves every outbound response as a fixture, "replay" answers from them without network
+      mode: httpMode,
+      fixturesDir: path.resolve(env.HTTP_FIXTURES_DIR || file.http?.fixturesDir || 'fixtures/http'),
+      timeout: number('HTTP_TIMEOUT_MS', file.http?.timeout, 30000, { min: 100, integer: true }),
+      timeouts: hostTimeouts,
+      retries: number('HTTP_RETRIES', file.http?.retries, 2, { max: 10, integer: true })
+    },
+    safety: {
+      // Screen chat messages with the provider's moderation endpoint before answering them
+      moderation: moderation === true || moderation === 'true',
+      maxMessageLength: number('CHAT_MAX_MESSAGE_LENGTH', file.safety?.maxMessageLength, MAX_MESSAGE_LENGTH, { min: 1, integer: true })
+    },
+    warnings
+  };
+
+  if (config.chunking.overlap >= config.chunking.maxChunkLength) {
+    errors.push(`CHUNK_OVERLAP (${config.chunking.overlap}) must be smaller than MAX_CHUNK_LENGTH (${config.chunking.maxChunkLength})`);
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  return config;
+}
@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+
+// Roughly how many tokens of earlier turns we send back to the model with each question
+export const HISTORY_TOKEN_BUDGET = 2000;
+
+const FOLLOW_UP_PATTERN = /\b(it|its|that|this|those|these|they|them|there|again|above|previous|earlier|before|same|more|elaborate|continue|go on)\b|\b(itu|ini|tadi|lagi|tersebut|sebelum)\b/i;
+
+// Function to estimate token count without a tokenizer (~4 characters per token for English text)
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Function to guess whether a question leans on earlier turns ("explain that part again")
+export function isFollowUpQuestion(message) {
+  const words = message.trim().split(/\s+/);
+  return FOLLOW_UP_PATTERN.test(message) || words.length <= 4;
+}
+
+// Function to split unsummarized history into turns that fit the token budget and older overflow turns
+export function splitHistory(conversation, budget = HISTORY_TOKEN_BUDGET) {
+  const pending = conversation.messages.slice(conversation.summarizedCount);
+  let used = estimateTokens(conversation.summary);
+  let cut = pending.length;
+
+  // Walk back one user/assistant turn at a time so we never send half a turn
+  while (cut >= 2) {
+    const turnTokens = estimateTokens(pending[cut - 2].content) + estimateTokens(pending[cut - 1].content);
+    if (used + turnTokens > budget) break;
+    used += turnTokens;
+    cut -= 2;
+  }
+
+  return {
+    recent: pending.slice(cut),
+    overflow: pending.slice(0, cut)
+  };
+}
+
+// Function to wrap a storage backend with conversation records
+// Each conversation belongs to the API client that started it: get and list only return a client's own
+export function createConversationStore(store) {
+  const key = id => `conversation:${id}`;
+
+  // Function to read a conversation, or null when there is none or it belongs to another client
+  async function get(id, clientId) {
+    const conversation = await store.get(key(id));
+    return conversation && conversation.clientId === clientId ? conversation : null;
+  }
+
+  return {
+    create(videoId, clientId) {
+      const now = new Date().toISOString();
+      return {
+        id: crypto.randomUUID(),
+        clientId,
+        videoId,
+        createdAt: now,
+        updatedAt: now,
+        summary: '',
+        summarizedCount: 0,
+        messages: []
+      };
+    },
+
+    get,
+
+    async save(conversation) {
+      conversation.updatedAt = new Date().toISOString();
+      await store.set(key(conversation.id), conversation);
+    },
+
+    delete: id => store.delete(key(id)),
+
+    async list(clientId, videoId = null) {
+      const ids = (await store.keys('conversation:')).map(k => k.slice('conversation:'.length));
+      const conversations = [];
+
+      for (const id of ids) {
+        const conversation = await get(id, clientId);
+        if (!conversation || (videoId && conversation.videoId !== videoId)) continue;
+
+        const firstQuestion = conversation.messages.find(m => m.role === 'user');
+        conversations.push({
+          id: conversation.id,
+          videoId: conversation.videoId,
+          title: firstQuestion ? firstQuestion.content.slice(0, 80) : '',
+          messageCount: conversation.messages.length,
+          createdAt: conversation.createdAt,
+          updatedAt: conversation.updatedAt
+        });
+      }
+
+      return conversations.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+  };
+}
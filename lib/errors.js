@@ -0,0 +1,112 @@
+// Errors the API reports to clients: each carries an HTTP status and a machine-readable code
+export class AppError extends Error {
+  constructor(message, { status = 500, code = 'internal_error', details = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message, { code = 'invalid_request', ...options } = {}) {
+    super(message, { status: 400, code, ...options });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message, { code = 'not_found', ...options } = {}) {
+    super(message, { status: 404, code, ...options });
+  }
+}
+
+// No API key, or one we do not know
+export class UnauthorizedError extends AppError {
+  constructor(message, { code = 'unauthorized', ...options } = {}) {
+    super(message, { status: 401, code, ...options });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message, { code = 'forbidden', ...options } = {}) {
+    super(message, { status: 403, code, ...options });
+  }
+}
+
+// The video exists but has no captions we can read
+export class CaptionsUnavailableError extends AppError {
+  constructor(message, { code = 'captions_unavailable', ...options } = {}) {
+    super(message, { status: 422, code, ...options });
+  }
+}
+
+export class CaptionParseError extends AppError {
+  constructor(message, { code = 'caption_parse_error', ...options } = {}) {
+    super(message, { status: 422, code, ...options });
+  }
+}
+
+// YouTube quota, LLM rate limit or a client's own rate limit exhausted; retryAfter (seconds) is sent as Retry-After when known
+export class QuotaExceededError extends AppError {
+  constructor(message, { code = 'quota_exceeded', retryAfter = null, ...options } = {}) {
+    super(message, { status: 429, code, ...options });
+    this.retryAfter = retryAfter;
+  }
+}
+
+// A service we depend on (YouTube, the LLM backend) failed
+export class UpstreamError extends AppError {
+  constructor(message, { code = 'upstream_error', ...options } = {}) {
+    super(message, { status: 502, code, ...options });
+  }
+}
+
+// Thrown by loadConfig with every problem found, so one restart is enough to fix them all
+export class ConfigError extends AppError {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(e => `  - ${e}`).join('\n')}`, { code: 'invalid_config' });
+    this.errors = errors;
+  }
+}
+
+// Function to map a googleapis (gaxios) error to a typed error
+export function youtubeApiError(error, message = 'YouTube API request failed') {
+  if (error instanceof AppError) return error;
+
+  const status = error.response?.status || (typeof error.code === 'number' ? error.code : null);
+  const reason = error.errors?.[0]?.reason || error.response?.data?.error?.errors?.[0]?.reason;
+
+  if (['quotaExceeded', 'dailyLimitExceeded', 'rateLimitExceeded', 'userRateLimitExceeded'].includes(reason) || status === 429) {
+    return new QuotaExceededError('YouTube API quota exceeded. Please try again later.', {
+      code: 'youtube_quota_exceeded',
+      cause: error
+    });
+  }
+  if (status === 404 || reason === 'videoNotFound') {
+    return new NotFoundError('Video not found', { code: 'video_not_found', cause: error });
+  }
+
+  return new UpstreamError(`${message}${status ? ` (${status})` : ''}`, {
+    code: 'youtube_api_error',
+    details: reason ? { reason } : null,
+    cause: error
+  });
+}
+
+// Function to wrap anything that is not already an AppError as an internal error
+export function toAppError(error, message = 'Internal server error') {
+  return error instanceof AppError ? error : new AppError(message, { cause: error });
+}
+
+// Function to build the JSON body sent for an error; internal errors do not leak their message
+export function errorBody(error, requestId = null) {
+  const appError = toAppError(error);
+  return {
+    error: appError.message,
+    code: appError.code,
+    ...(appError.details ? { details: appError.details } : {}),
+    ...(appError.retryAfter ? { retryAfter: appError.retryAfter } : {}),
+    ...(requestId ? { requestId } : {})
+  };
+}
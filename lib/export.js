@@ -0,0 +1,135 @@
+import { formatDuration, timestampToSeconds } from './time.js';
+import { youTubeVideoIdOf } from './urls.js';
+
+// Function to build a YouTube link that starts playback at the given second
+// Uploads for a YouTube video link to that video; uploaded media that is not on YouTube has no link (null)
+export function videoDeepLink(id, seconds = 0) {
+  const videoId = youTubeVideoIdOf(id);
+  if (!videoId) return null;
+  return `https://www.youtube.com/watch?v=${videoId}&t=${Math.floor(seconds)}s`;
+}
+
+// Function to format milliseconds as HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (WebVTT)
+function formatCueTime(ms, separator) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+  const pad = (n, width = 2) => n.toString().padStart(width, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+}
+
+// Cues must not overlap in most players, so end each one where the next starts at the latest
+function cueEnd(transcript, i) {
+  const item = transcript[i];
+  const next = transcript[i + 1];
+  const end = item.offset + item.duration;
+  return next ? Math.min(end, Math.max(next.offset, item.offset + 1)) : end;
+}
+
+function renderSrt({ transcript }) {
+  return transcript.map((item, i) =>
+    `${i + 1}\n${formatCueTime(item.offset, ',')} --> ${formatCueTime(cueEnd(transcript, i), ',')}\n${item.text}`
+  ).join('\n\n') + '\n';
+}
+
+function renderVtt({ transcript }) {
+  return 'WEBVTT\n\n' + transcript.map((item, i) =>
+    `${formatCueTime(item.offset, '.')} --> ${formatCueTime(cueEnd(transcript, i), '.')}\n${item.text}`
+  ).join('\n\n') + '\n';
+}
+
+function renderText({ transcript }, { timestamps = true } = {}) {
+  return transcript
+    .map(item => timestamps ? `[${formatDuration(item.offset / 1000)}] ${item.text}` : item.text)
+    .join('\n') + '\n';
+}
+
+// Function to escape characters Markdown would treat as formatting inside link text and headings
+function escapeMarkdown(text) {
+  return (text || '').replace(/([\\`*_[\]<>#|])/g, '\\$1');
+}
+
+function renderMarkdown({ videoId, metadata, transcript, analysis }) {
+  // Timestamps link into the video when it is on YouTube
+  const timeLink = (label, seconds) => {
+    const url = videoDeepLink(videoId, seconds);
+    return url ? `[${label}](${url})` : label;
+  };
+
+  const lines = [`# ${escapeMarkdown(metadata.title)}`, ''];
+  if (youTubeVideoIdOf(videoId)) {
+    lines.push(`[Watch on YouTube](${videoDeepLink(videoId)})`, '');
+  }
+
+  if (metadata.author) {
+    const published = metadata.publishedAt ? ` · ${metadata.publishedAt.slice(0, 10)}` : '';
+    lines.splice(2, 0, `*${escapeMarkdown(metadata.author)}${published}*`, '');
+  }
+
+  if (analysis?.summary) {
+    lines.push('## Summary', '', analysis.summary, '');
+  }
+
+  // Topic headings are placed in the transcript where each topic starts
+  const topics = (analysis?.mainTopics || [])
+    .map(topic => ({ ...topic, seconds: timestampToSeconds(topic.timestamp) }))
+    .filter(topic => topic.seconds !== null)
+    .sort((a, b) => a.seconds - b.seconds);
+
+  if (topics.length > 0) {
+    lines.push('## Topics', '');
+    for (const topic of topics) {
+      lines.push(`- ${timeLink(topic.timestamp, topic.seconds)} ${escapeMarkdown(topic.topic)}`);
+    }
+    lines.push('');
+  }
+
+  lines.push('## Transcript', '');
+  let topicIndex = 0;
+  let paragraph = [];
+  const flushParagraph = () => {
+    if (paragraph.length > 0) lines.push(paragraph.join(' '), '');
+    paragraph = [];
+  };
+
+  for (const item of transcript) {
+    const seconds = item.offset / 1000;
+    while (topicIndex < topics.length && topics[topicIndex].seconds <= seconds) {
+      const topic = topics[topicIndex];
+      flushParagraph();
+      lines.push(`### ${timeLink(topic.timestamp, topic.seconds)} ${escapeMarkdown(topic.topic)}`, '');
+      if (topic.description) lines.push(`*${topic.description.trim()}*`, '');
+      topicIndex++;
+    }
+    if (paragraph.length === 0) {
+      paragraph.push(timeLink(formatDuration(seconds), seconds));
+    }
+    paragraph.push(item.text);
+    if (paragraph.length > 12) flushParagraph();
+  }
+  flushParagraph();
+
+  const concepts = analysis?.keyConcepts || [];
+  if (concepts.length > 0) {
+    lines.push('## Glossary', '');
+    for (const concept of concepts) {
+      lines.push(`**${escapeMarkdown(concept.concept)}**: ${concept.definition}`, '');
+    }
+  }
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd() + '\n';
+}
+
+function renderJson({ videoId, metadata, transcript, analysis, language, captionType }) {
+  return JSON.stringify({ videoId, metadata, language, captionType, transcript, analysis }, null, 2);
+}
+
+export const EXPORT_FORMATS = {
+  srt: { render: renderSrt, contentType: 'application/x-subrip; charset=utf-8', needsAnalysis: false },
+  vtt: { render: renderVtt, contentType: 'text/vtt; charset=utf-8', needsAnalysis: false },
+  txt: { render: renderText, contentType: 'text/plain; charset=utf-8', needsAnalysis: false },
+  md: { render: renderMarkdown, contentType: 'text/markdown; charset=utf-8', needsAnalysis: true },
+  json: { render: renderJson, contentType: 'application/json; charset=utf-8', needsAnalysis: true }
+};
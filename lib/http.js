@@ -0,0 +1,314 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import nodeFetch, { Response } from 'node-fetch';
+import { logger } from './logger.js';
+
+export const HTTP_MODES = ['live', 'record', 'replay'];
+
+// Time allowed for a whole exchange, response body included. Model hosts stream long answers
+export const DEFAULT_HOST_TIMEOUTS = {
+  'www.youtube.com': 10 * 1000,
+  'youtube.googleapis.com': 15 * 1000,
+  'www.googleapis.com': 15 * 1000,
+  'oauth2.googleapis.com': 10 * 1000,
+  'api.openai.com': 120 * 1000,
+  'api.anthropic.com': 120 * 1000
+};
+const DEFAULT_TIMEOUT = 30 * 1000;
+
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504, 529]);
+// The server turned these away without acting on them, so even a POST can be sent again
+const REFUSED_STATUSES = new Set([429, 503, 529]);
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+
+// Data API 403 reasons: the first two last until the daily quota resets, the others are per-minute limits
+const QUOTA_REASONS = ['quotaExceeded', 'dailyLimitExceeded'];
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+// Query parameters that hold credentials; left out of fixture keys and files
+const SECRET_PARAMS = /^(?:key|api[-_]?key|access_token)$/i;
+// Token fields of OAuth responses; replaced in recorded JSON bodies so fixtures never hold a live credential
+const SECRET_FIELDS = new Set(['access_token', 'id_token', 'refresh_token']);
+
+function networkError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+function isYouTubeDataApi(url) {
+  return /(?:^|\.)googleapis\.com$/.test(url.hostname) && url.pathname.startsWith('/youtube/v3/');
+}
+
+// Function to find when the Data API quota resets: midnight Pacific time
+function nextQuotaReset(now = new Date()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/Los_Angeles',
+    hourCycle: 'h23',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(now).map(part => [part.type, part.value]));
+  const elapsed = ((Number(parts.hour) * 60 + Number(parts.minute)) * 60 + Number(parts.second)) * 1000;
+  return now.getTime() - now.getMilliseconds() - elapsed + 24 * 60 * 60 * 1000;
+}
+
+// Function to read Retry-After (seconds or an HTTP date) in milliseconds, null when absent
+function retryAfterMs(response) {
+  const value = response.headers.get('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Function to read the body of a request as text for fixture keys; null when it cannot be sent twice
+function replayableBody(body) {
+  if (body === undefined || body === null) return '';
+  if (typeof body === 'string') return body;
+  if (Buffer.isBuffer(body)) return body.toString('utf8');
+  if (body instanceof URLSearchParams) return body.toString();
+  return null;
+}
+
+function redactUrl(url) {
+  const redacted = new URL(url);
+  for (const name of [...redacted.searchParams.keys()]) {
+    if (SECRET_PARAMS.test(name)) redacted.searchParams.delete(name);
+  }
+  return redacted.toString();
+}
+
+// Function to name the fixture of a request: host directory and a hash of method, URL and body
+// A signed token request (OAuth JWT assertion) is keyed without its body, which changes on every call
+function fixturePath(dir, method, url, body) {
+  const keyedBody = /grant_type=urn%3Aietf%3Aparams%3Aoauth%3Agrant-type%3Ajwt-bearer/.test(body) ? '' : body;
+  const hash = crypto.createHash('sha256').update(`${method} ${redactUrl(url)}\n${keyedBody}`).digest('hex').slice(0, 16);
+  return path.join(dir, url.hostname, `${hash}.json`);
+}
+
+// Function to replace the tokens in a recorded JSON body; anything that is not JSON is kept as it is
+// The fields stay (with a placeholder) so a replayed OAuth client still finds a token to send
+function redactBody(text) {
+  try {
+    let redacted = false;
+    const json = JSON.stringify(JSON.parse(text), (name, value) => {
+      if (!SECRET_FIELDS.has(name) || typeof value !== 'string') return value;
+      redacted = true;
+      return 'redacted';
+    });
+    return redacted ? json : text;
+  } catch {
+    return text;
+  }
+}
+
+function toResponse({ status, statusText, headers, body, encoding }) {
+  return new Response(Buffer.from(body, encoding), { status, statusText, headers });
+}
+
+// Shared client for every outbound request (YouTube pages and timedtext, the Data API, model APIs).
+// fetch(url, options) takes the same arguments as fetch and resolves with the response whatever its status;
+// it rejects only when no response arrives (network error, timeout, open circuit, missing fixture).
+//   - timeouts: per-host limits for the whole exchange (DEFAULT_HOST_TIMEOUTS, else `timeout`)
+//   - retries: 429/5xx and network errors are retried with jittered exponential backoff, honouring
+//     Retry-After; POSTs only when the server refused them (429/503/529), since they may have been acted on
+//   - quota: a Data API "quotaExceeded" 403 is answered locally until the quota resets at midnight Pacific
+//   - circuit breaker: after `breakerThreshold` failed requests in a row a host is not called for
+//     `breakerCooldown`; a request counts once, with the outcome of its last attempt
+//   - mode "record" saves every final response under fixturesDir; "replay" serves them without any network
+export function createHttpClient({
+  mode = 'live',
+  fixturesDir = path.resolve('fixtures/http'),
+  timeout = DEFAULT_TIMEOUT,
+  timeouts = {},
+  retries = 2,
+  baseDelay = 500,
+  maxDelay = 10 * 1000,
+  breakerThreshold = 5,
+  breakerCooldown = 30 * 1000,
+  fetchImpl = nodeFetch
+} = {}) {
+  if (!HTTP_MODES.includes(mode)) throw new Error(`Unknown HTTP mode: ${mode}`);
+
+  const hostTimeouts = { ...DEFAULT_HOST_TIMEOUTS, ...timeouts };
+  const breakers = new Map(); // host -> { failures, openUntil }
+  let quotaExhausted = null; // { until, status, headers, body } of the 403 that reported it
+
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  // Function to answer a request from its fixture; replayed responses still go through the retry,
+  // quota and breaker handling, so tests see the same behaviour as live traffic
+  async function replay(url, options) {
+    const method = (options.method || 'GET').toUpperCase();
+    const file = fixturePath(fixturesDir, method, url, replayableBody(options.body) ?? '');
+    if (!fs.existsSync(file)) {
+      throw networkError(`No recorded response for ${method} ${redactUrl(url)} (${file})`, 'ENOFIXTURE');
+    }
+    return toResponse(JSON.parse(fs.readFileSync(file, 'utf8')).response);
+  }
+
+  const transport = mode === 'replay' ? replay : (url, options) => fetchImpl(url.toString(), options);
+
+  function recordOutcome(host, ok) {
+    const breaker = breakers.get(host) || { failures: 0, openUntil: 0 };
+    breaker.failures = ok ? 0 : breaker.failures + 1;
+    if (breaker.failures >= breakerThreshold) {
+      breaker.openUntil = Date.now() + breakerCooldown;
+      logger.warn('Circuit opened for host', { host, failures: breaker.failures, cooldownMs: breakerCooldown });
+    }
+    breakers.set(host, breaker);
+  }
+
+  // Function to send one attempt, aborting it (body included) when the host's timeout passes
+  async function attempt(url, options, limit) {
+    const controller = new AbortController();
+    const { signal } = options;
+    const onAbort = () => controller.abort();
+    if (signal?.aborted) controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    let response = null;
+    let timedOut = false;
+    const timeoutError = networkError(`Request to ${url.hostname} timed out after ${limit}ms`, 'ETIMEDOUT');
+    const timer = setTimeout(() => {
+      timedOut = true;
+      if (response?.body) response.body.destroy(timeoutError);
+      else controller.abort();
+    }, limit);
+    timer.unref?.();
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    try {
+      response = await transport(url, { ...options, signal: controller.signal });
+    } catch (error) {
+      done();
+      throw timedOut ? timeoutError : error;
+    }
+
+    if (response.body?.once) {
+      response.body.once('end', done).once('close', done).once('error', done);
+    } else {
+      done();
+    }
+    return response;
+  }
+
+  // Function to tell why a Data API 403 was sent: "quota", "rate" or null
+  async function dataApiRefusal(url, response) {
+    if (response.status !== 403 || !isYouTubeDataApi(url)) return null;
+    try {
+      const data = await response.clone().json();
+      const reasons = (data.error?.errors || []).map(e => e.reason);
+      if (reasons.some(reason => QUOTA_REASONS.includes(reason))) return 'quota';
+      if (reasons.some(reason => RATE_LIMIT_REASONS.includes(reason))) return 'rate';
+    } catch {
+      // Not a JSON error body
+    }
+    return null;
+  }
+
+  async function send(url, options) {
+    const method = (options.method || 'GET').toUpperCase();
+    const host = url.hostname;
+    const limit = options.timeout || hostTimeouts[host] || timeout;
+    const maxRetries = replayableBody(options.body) === null ? 0 : options.retries ?? retries;
+    const idempotent = IDEMPOTENT_METHODS.has(method);
+
+    if (isYouTubeDataApi(url) && quotaExhausted) {
+      if (Date.now() < quotaExhausted.until) {
+        const retryAfter = Math.ceil((quotaExhausted.until - Date.now()) / 1000);
+        return toResponse({ ...quotaExhausted, headers: { ...quotaExhausted.headers, 'retry-after': String(retryAfter) } });
+      }
+      quotaExhausted = null;
+    }
+
+    const breaker = breakers.get(host);
+    if (breaker && breaker.openUntil > Date.now()) {
+      throw networkError(`Requests to ${host} are paused after repeated failures`, 'ECIRCUITOPEN');
+    }
+
+    for (let attemptNumber = 0; ; attemptNumber++) {
+      const backoff = Math.random() * Math.min(maxDelay, baseDelay * 2 ** attemptNumber);
+      let response;
+      try {
+        response = await attempt(url, options, limit);
+      } catch (error) {
+        if (options.signal?.aborted || error.code === 'ENOFIXTURE') throw error;
+        if (!idempotent || attemptNumber >= maxRetries) {
+          recordOutcome(host, false);
+          throw error;
+        }
+        logger.debug('Retrying request after network error', { host, attempt: attemptNumber + 1, error: error.message });
+        await sleep(backoff);
+        continue;
+      }
+
+      const refusal = await dataApiRefusal(url, response);
+      if (refusal === 'quota') {
+        const until = nextQuotaReset();
+        quotaExhausted = {
+          until,
+          status: response.status,
+          statusText: response.statusText,
+          headers: { 'content-type': 'application/json' },
+          body: await response.clone().text(),
+          encoding: 'utf8'
+        };
+        logger.warn('YouTube Data API quota exhausted, pausing Data API calls until it resets', {
+          resetsAt: new Date(until).toISOString()
+        });
+        return response;
+      }
+
+      const retryable = refusal === 'rate' ||
+        (RETRY_STATUSES.has(response.status) && (idempotent || REFUSED_STATUSES.has(response.status)));
+      const wait = retryAfterMs(response) ?? backoff;
+      if (!retryable || attemptNumber >= maxRetries || wait > maxDelay) {
+        recordOutcome(host, !RETRY_STATUSES.has(response.status));
+        return response;
+      }
+
+      logger.debug('Retrying request', { host, status: response.status, attempt: attemptNumber + 1, waitMs: Math.round(wait) });
+      await response.arrayBuffer().catch(() => {});
+      await sleep(wait);
+    }
+  }
+
+  async function record(url, options) {
+    const response = await send(url, options);
+    const body = Buffer.from(await response.arrayBuffer());
+    const headers = Object.fromEntries([...response.headers].filter(([name]) => name !== 'set-cookie'));
+    const text = body.toString('utf8');
+    const encoding = Buffer.from(text, 'utf8').equals(body) ? 'utf8' : 'base64';
+    const fixture = {
+      request: { method: (options.method || 'GET').toUpperCase(), url: redactUrl(url) },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+        body: encoding === 'utf8' ? redactBody(text) : body.toString(encoding),
+        encoding
+      }
+    };
+
+    const file = fixturePath(fixturesDir, fixture.request.method, url, replayableBody(options.body) ?? '');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+    logger.debug('Recorded HTTP fixture', { url: fixture.request.url, status: response.status, file });
+    // The caller gets the real body: only the file has its tokens replaced
+    return toResponse({ ...fixture.response, body: body.toString(encoding) });
+  }
+
+  return {
+    mode,
+
+    async fetch(input, options = {}) {
+      const url = new URL(typeof input === 'string' ? input : input.url || input.href);
+      return mode === 'record' ? record(url, options) : send(url, options);
+    }
+  };
+}
@@ -0,0 +1,155 @@
+import { timestampToSeconds } from './time.js';
+
+const POSITION_SHARE = 0.2; // "The beginning" / "the end" cover this share of the video
+const MIDDLE_SHARE = 0.2;
+
+// Words that make a number of minutes or seconds a position in the video ("at 5 minutes", "sekitar minit 5")
+// rather than a quantity ("a 5 minute workout")
+const TIME_CONTEXT_BEFORE = /(?:^|\s)(?:at|around|about|near|after|before|by|from|to|until|till|between|and|pada|sekitar|kira-kira|selepas|sebelum|dari|hingga|sampai|antara|dan)\s+(?:the\s+|minit\s+ke-?)?$/i;
+const TIME_CONTEXT_AFTER = /^\s*(?:in\b|into\b|mark\b|point\b|timestamp\b|of the video\b|dalam video\b)/i;
+
+const CLOCK = /(?<![\d:.])(?:\d{1,2}:)?\d{1,3}:\d{2}(?![\d:])/g;
+const UNIT_FORM = /\b\d+\s*h(?:\s*\d+\s*m)?(?:\s*\d+\s*s)?\b|\b\d+\s*m\s*\d+\s*s\b/gi;
+const MINUTE_WORD = /\b(?:minute|min|minit)\s+(?:ke-?)?(\d+)\b/gi;
+// Starts on a digit, so the words before it are left for TIME_CONTEXT_BEFORE
+const SPOKEN_DURATION = /\b(?=\d)(?:(\d+)\s*(?:hours?|hrs?|jam))?(?:\s*(?:(?:and|dan)\s+)?(\d+(?:\.\d+)?)\s*(?:minutes?|mins?|minit))?(?:\s*(?:(?:and|dan)\s+)?(\d+)\s*(?:seconds?|secs?|saat))?\b/gi;
+// "from 10 to 20 minutes": two numbers sharing one unit
+const UNIT_RANGE = /\b(?:from|between|dari|antara)\s+(\d+(?:\.\d+)?)\s*(?:-|–|—|to|and|until|till|hingga|sampai|dan)\s*(\d+(?:\.\d+)?)\s*(hours?|hrs?|jam|minutes?|mins?|minit|seconds?|secs?|saat)\b/i;
+const UNIT_SECONDS = [[/^(?:hours?|hrs?|jam)$/i, 3600], [/^(?:minutes?|mins?|minit)$/i, 60], [/^(?:seconds?|secs?|saat)$/i, 1]];
+
+const RANGE_JOINER = /^\s*(?:-|–|—|to|and|until|till|through|hingga|sampai|dan)\s*$/i;
+
+const START_PATTERNS = [
+  /\b(?:the|at the|near the|towards the|in the)\s+(?:very\s+)?(?:beginning|start)\b/i,
+  /\b(?:opening|first)\s+(?:part|bit|section|segment|few minutes)\b/i,
+  /\bintro(?:duction)?\b/i,
+  /\b(?:di|pada|bahagian)\s+(?:awal|permulaan)\b/i
+];
+// "The end" only counts when it is the end of the video: "at the end of the day" is an idiom
+const END_PATTERNS = [
+  /\b(?:the|at the|near the|towards the|by the)\s+(?:very\s+)?end(?:ing)?\s+of\s+(?:(?:the|this)\s+(?:video|clip|talk|lecture|episode|recording)|this|it)\b/i,
+  /\b(?:last|final|closing)\s+(?:part|bit|section|segment|few minutes)\b/i,
+  /\boutro\b/i,
+  /\bbahagian\s+(?:akhir|penghujung)\b/i,
+  /\b(?:di|pada)\s+(?:akhir|penghujung)\s+(?:video|rakaman|klip)\b/i
+];
+const MIDDLE_PATTERNS = [
+  /\b(?:the|in the|around the)\s+(?:middle|midpoint)\b/i,
+  /\bhalfway\b/i,
+  /\b(?:di|pada|bahagian)\s+(?:tengah|pertengahan)\b/i
+];
+
+const SUMMARY_PATTERNS = [
+  /\b(?:summar(?:y|ise|ize)|tl;?dr|overview|recap|gist)\b/i,
+  /\b(?:main|key)\s+(?:points|takeaways|ideas|lessons)\b/i,
+  /\bwhat(?:'s| is)\s+(?:this|the)\s+video\s+about\b/i,
+  /\bwhat\s+does\s+(?:this|the)\s+video\s+(?:cover|talk about|explain)\b/i,
+  /\b(?:ringkas(?:kan|an)?|rumus(?:kan|an)?|intipati|isi\s+penting)\b/i,
+  /\bvideo\s+ini\s+(?:tentang|mengenai)\s+apa\b/i
+];
+
+// Function to find every clock or spoken time reference in a query: [{ seconds, index, end }]
+// Bare numbers are never positions; "the 3 steps" and "top 10 tips" are left alone
+export function findTimeReferences(query) {
+  const references = [];
+  const add = (seconds, match) => {
+    if (seconds === null || references.some(r => match.index < r.end && match.index + match[0].length > r.index)) return;
+    references.push({ seconds, index: match.index, end: match.index + match[0].length });
+  };
+
+  for (const match of query.matchAll(CLOCK)) add(timestampToSeconds(match[0]), match);
+  for (const match of query.matchAll(UNIT_FORM)) add(timestampToSeconds(match[0].replace(/\s+/g, '')), match);
+  for (const match of query.matchAll(MINUTE_WORD)) add(Number(match[1]) * 60, match);
+
+  for (const match of query.matchAll(SPOKEN_DURATION)) {
+    const [text, hours, minutes, seconds] = match;
+    if (!text.trim() || !(hours || minutes || seconds)) continue;
+
+    const before = query.slice(0, match.index);
+    const after = query.slice(match.index + text.length);
+    if (!TIME_CONTEXT_BEFORE.test(before) && !TIME_CONTEXT_AFTER.test(after)) continue;
+
+    add(Math.floor((Number(hours) || 0) * 3600 + (Number(minutes) || 0) * 60 + (Number(seconds) || 0)), match);
+  }
+
+  return references.sort((a, b) => a.index - b.index);
+}
+
+// Function to read "the beginning", "the last part", "the first 5 minutes" and the like as a range of the video
+function findPosition(query, duration) {
+  if (!duration) return null;
+
+  const firstLast = query.match(/\b(first|last|final)\s+(\d+)\s*(?:minutes?|mins?)\b/i) ||
+    query.match(/\b(\d+)\s+minit\s+(pertama|terakhir)\b/i);
+  if (firstLast) {
+    const [, a, b] = firstLast;
+    const fromStart = /^(first|pertama)$/i.test(/^\d+$/.test(a) ? b : a);
+    const seconds = Math.min(duration, Number(/^\d+$/.test(a) ? a : b) * 60);
+    return fromStart
+      ? { position: 'start', start: 0, end: seconds }
+      : { position: 'end', start: duration - seconds, end: duration };
+  }
+
+  if (START_PATTERNS.some(pattern => pattern.test(query))) {
+    return { position: 'start', start: 0, end: duration * POSITION_SHARE };
+  }
+  if (END_PATTERNS.some(pattern => pattern.test(query))) {
+    return { position: 'end', start: duration * (1 - POSITION_SHARE), end: duration };
+  }
+  if (MIDDLE_PATTERNS.some(pattern => pattern.test(query))) {
+    return { position: 'middle', start: duration * (0.5 - MIDDLE_SHARE / 2), end: duration * (0.5 + MIDDLE_SHARE / 2) };
+  }
+
+  return null;
+}
+
+// Function to work out what a chat question asks for, so retrieval can pick chunks accordingly:
+//   { type: 'time', seconds }                 a point in the video ("at 12:30", "around minute 5")
+//   { type: 'range', start, end, position? }  a stretch of it ("between 2:00 and 5:00", "the last part")
+//   { type: 'summary' }                       the whole video ("summarize this", "what is this video about")
+//   { type: 'topic', topic }                  a topic the analysis found, by its title
+//   { type: 'question' }                      anything else
+// duration is the video length in seconds; topics are the analysis mainTopics
+export function classifyQuery(query, { duration = 0, topics = [] } = {}) {
+  const text = typeof query === 'string' ? query : '';
+  const references = findTimeReferences(text);
+
+  const unitRange = text.match(UNIT_RANGE);
+  if (unitRange) {
+    const [, from, to, unit] = unitRange;
+    const scale = UNIT_SECONDS.find(([pattern]) => pattern.test(unit))[1];
+    if (Number(to) > Number(from)) {
+      return { type: 'range', start: Math.floor(Number(from) * scale), end: Math.floor(Number(to) * scale) };
+    }
+  }
+
+  // Two references joined by "to", "and" or a dash are a range
+  for (let i = 0; i + 1 < references.length; i++) {
+    const [from, to] = [references[i], references[i + 1]];
+    if (to.seconds > from.seconds && RANGE_JOINER.test(text.slice(from.end, to.index))) {
+      return { type: 'range', start: from.seconds, end: to.seconds };
+    }
+  }
+
+  if (references.length > 0) {
+    return { type: 'time', seconds: references[0].seconds };
+  }
+
+  // A topic named in the question beats the generic position and summary wording ("Introduction", "Recap")
+  const lower = text.toLowerCase();
+  const topic = topics.find(t => typeof t.topic === 'string' && t.topic && lower.includes(t.topic.toLowerCase()));
+  if (topic && timestampToSeconds(topic.timestamp) !== null) {
+    return { type: 'topic', topic };
+  }
+
+  const position = findPosition(text, duration);
+  if (position) {
+    return { type: 'range', ...position };
+  }
+
+  if (SUMMARY_PATTERNS.some(pattern => pattern.test(text))) {
+    return { type: 'summary' };
+  }
+
+  return { type: 'question' };
+}
@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import { AsyncResource } from 'async_hooks';
+
+const DEFAULT_CONCURRENCY = 2;
+const JOB_RETENTION = 60 * 60 * 1000; // Finished jobs stay pollable for an hour
+
+// In-process job queue: jobs for the same key share one run, at most `concurrency` run at once
+export function createJobQueue({ concurrency = DEFAULT_CONCURRENCY, retention = JOB_RETENTION } = {}) {
+  const jobs = new Map(); // job id -> job
+  const inFlight = new Map(); // key -> job id of the queued/running job
+  const latest = new Map(); // key -> job id of the most recent job, kept while it is retained
+  const pending = [];
+  let running = 0;
+
+  const toPublic = ({ promise, task, resolve, reject, ...job }) => job;
+
+  function update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  }
+
+  function finish(job, changes) {
+    update(job, { ...changes, finishedAt: new Date().toISOString() });
+    inFlight.delete(job.key);
+    setTimeout(() => {
+      jobs.delete(job.id);
+      if (latest.get(job.key) === job.id) latest.delete(job.key);
+    }, retention).unref();
+  }
+
+  async function run(job) {
+    running++;
+    update(job, { status: 'running' });
+
+    try {
+      const result = await job.task({
+        setStage: stage => update(job, { stage, progress: null }),
+        setProgress: progress => update(job, { progress })
+      });
+      finish(job, { status: 'done', stage: 'done', result });
+      job.resolve(result);
+    } catch (error) {
+      finish(job, { status: 'failed', stage: 'failed', error: error.message, errorCode: error.code || 'internal_error' });
+      job.reject(error);
+    } finally {
+      running--;
+      runNext();
+    }
+  }
+
+  function runNext() {
+    while (running < concurrency && pending.length > 0) {
+      run(pending.shift());
+    }
+  }
+
+  return {
+    // Function to start a job for a key, or join the one already queued/running for it
+    // details (e.g. the videoId when the key is more specific) are kept on the job as public fields
+    enqueue(key, task, details = {}) {
+      const existingId = inFlight.get(key);
+      if (existingId) return toPublic(jobs.get(existingId));
+
+      const now = new Date().toISOString();
+      const job = {
+        ...details,
+        id: crypto.randomUUID(),
+        key,
+        status: 'queued',
+        stage: 'queued',
+        progress: null,
+        result: null,
+        error: null,
+        errorCode: null,
+        createdAt: now,
+        updatedAt: now,
+        finishedAt: null,
+        // Run in the async context of the caller that started the job, not whichever job freed the slot
+        task: AsyncResource.bind(task)
+      };
+      job.promise = new Promise((resolve, reject) => {
+        job.resolve = resolve;
+        job.reject = reject;
+      });
+      // Callers that never await the promise should not trigger unhandled rejections
+      job.promise.catch(() => {});
+
+      jobs.set(job.id, job);
+      inFlight.set(key, job.id);
+      latest.set(key, job.id);
+      pending.push(job);
+      runNext();
+
+      return toPublic(job);
+    },
+
+    get(id) {
+      const job = jobs.get(id);
+      return job ? toPublic(job) : null;
+    },
+
+    // Function to get the most recent job for a key (running or recently finished)
+    findByKey(key) {
+      const id = latest.get(key);
+      return id && jobs.has(id) ? toPublic(jobs.get(id)) : null;
+    },
+
+    // Function to wait for a job to finish; resolves with its result or rejects with its error
+    wait(id) {
+      const job = jobs.get(id);
+      return job ? job.promise : Promise.reject(new Error('Job not found'));
+    }
+  };
+}
@@ -0,0 +1,375 @@
+import OpenAI from 'openai';
+import nodeFetch from 'node-fetch';
+import { AppError, QuotaExceededError, UpstreamError } from './errors.js';
+import { logger } from './logger.js';
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o-mini-2024-07-18',
+  azure: 'gpt-4o-mini',
+  ollama: 'llama3.1',
+  anthropic: 'claude-3-5-haiku-latest',
+  mock: 'mock'
+};
+
+// Function to pull a JSON object out of model output that may be wrapped in prose or code fences
+export function extractJson(text) {
+  const trimmed = (text || '').trim();
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const candidate = fenced ? fenced[1] : trimmed.slice(trimmed.indexOf('{'), trimmed.lastIndexOf('}') + 1);
+    // Throws SyntaxError when there is no usable JSON, same as JSON.parse
+    return JSON.parse(candidate);
+  }
+}
+
+// Function to request a JSON completion, using native JSON mode only when the backend supports it
+export async function completeJson(llm, options) {
+  const { content, usage } = await llm.complete({ ...options, json: llm.supportsJsonMode });
+  try {
+    return { data: extractJson(content), usage };
+  } catch (parseError) {
+    logger.warn('Model returned invalid JSON', { error: parseError.message, content });
+    throw parseError;
+  }
+}
+
+function normalizeOpenAIUsage(usage) {
+  return usage
+    ? { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 }
+    : null;
+}
+
+// Provider for the OpenAI API and OpenAI-compatible servers (Azure OpenAI, Ollama, vLLM, ...)
+// Providers that can screen text have moderate(input) -> { flagged, categories }; only the OpenAI API offers it
+export function createOpenAICompatibleProvider({
+  name = 'openai',
+  client,
+  supportsJsonMode = true,
+  supportsStreamUsage = true,
+  supportsModeration = false
+}) {
+  const moderation = {
+    async moderate(input, { signal } = {}) {
+      const { results } = await client.moderations.create({ model: 'omni-moderation-latest', input }, { signal });
+      const [result] = results;
+      return {
+        flagged: result.flagged,
+        categories: Object.keys(result.categories).filter(category => result.categories[category])
+      };
+    }
+  };
+
+  return {
+    ...(supportsModeration ? moderation : {}),
+    name,
+    supportsJsonMode,
+
+    async complete({ model, messages, temperature, maxTokens, json = false, signal }) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        ...(maxTokens ? { max_tokens: maxTokens } : {}),
+        ...(json ? { response_format: { type: "json_object" } } : {})
+      }, { signal });
+
+      return {
+        content: completion.choices[0].message.content,
+        usage: normalizeOpenAIUsage(completion.usage)
+      };
+    },
+
+    // Yields text deltas; the final usage (when the backend reports it) is passed to onUsage
+    async *stream({ model, messages, temperature, maxTokens, signal, onUsage = () => {} }) {
+      const stream = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        ...(maxTokens ? { max_tokens: maxTokens } : {}),
+        stream: true,
+        ...(supportsStreamUsage ? { stream_options: { include_usage: true } } : {})
+      }, { signal });
+
+      for await (const part of stream) {
+        const token = part.choices[0]?.delta?.content;
+        if (token) yield token;
+        if (part.usage) onUsage(normalizeOpenAIUsage(part.usage));
+      }
+    }
+  };
+}
+
+// Provider for the Anthropic Messages API (no JSON mode; the prompts already ask for bare JSON)
+export function createAnthropicProvider({ apiKey, baseURL = 'https://api.anthropic.com', fetch = nodeFetch }) {
+  const request = (body, signal) => fetch(`${baseURL}/v1/messages`, {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  // Anthropic takes the system prompt separately from the conversation
+  const toAnthropic = messages => ({
+    system: messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n') || undefined,
+    messages: messages.filter(m => m.role !== 'system').map(m => ({ role: m.role, content: m.content }))
+  });
+
+  return {
+    name: 'anthropic',
+    supportsJsonMode: false,
+
+    async complete({ model, messages, temperature, maxTokens = 4096, signal }) {
+      const response = await request({ model, temperature, max_tokens: maxTokens, ...toAnthropic(messages) }, signal);
+      const data = await response.json();
+      if (!response.ok) {
+        throw Object.assign(new Error(`Anthropic API error (${response.status}): ${data.error?.message || 'unknown error'}`), {
+          status: response.status
+        });
+      }
+
+      return {
+        content: data.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+        usage: { promptTokens: data.usage?.input_tokens || 0, completionTokens: data.usage?.output_tokens || 0 }
+      };
+    },
+
+    async *stream({ model, messages, temperature, maxTokens = 4096, signal, onUsage = () => {} }) {
+      const response = await request({ model, temperature, max_tokens: maxTokens, stream: true, ...toAnthropic(messages) }, signal);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw Object.assign(new Error(`Anthropic API error (${response.status}): ${data.error?.message || 'unknown error'}`), {
+          status: response.status
+        });
+      }
+
+      const usage = { promptTokens: 0, completionTokens: 0 };
+      // One streaming decoder, so a character split across two network chunks is put back together
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+
+        for (const event of events) {
+          const dataLine = event.split('\n').find(line => line.startsWith('data:'));
+          if (!dataLine) continue;
+          const data = JSON.parse(dataLine.slice(5));
+          // The API reports failures after the stream has started (overloaded_error, api_error) as an event;
+          // passing over it would end the answer early as if it were complete
+          if (data.type === 'error') {
+            throw new UpstreamError(`The anthropic model stream failed: ${data.error?.message || data.error?.type || 'unknown error'}`, {
+              code: 'llm_error',
+              details: data.error?.type ? { type: data.error.type } : null
+            });
+          }
+          if (data.type === 'content_block_delta' && data.delta?.text) yield data.delta.text;
+          if (data.type === 'message_start') usage.promptTokens = data.message?.usage?.input_tokens || 0;
+          if (data.type === 'message_delta') usage.completionTokens = data.usage?.output_tokens || 0;
+        }
+      }
+      onUsage(usage);
+    }
+  };
+}
+
+// Function to build the mock's JSON answer in the shape the prompt asks for: a study set, grading results
+// or (for every analysis prompt) an analysis. The JSON keys in the formats are the same in every locale.
+// Items point at the first and last transcript timestamps in the prompt, so they anchor to real captions
+function mockJson(prompt, timestamps) {
+  const first = timestamps[0] || '0:00';
+  const last = timestamps[timestamps.length - 1] || first;
+
+  if (prompt.includes('"questions"')) {
+    return {
+      questions: [
+        {
+          type: 'multiple-choice',
+          question: 'Mock multiple-choice question?',
+          options: ['Mock option A', 'Mock option B', 'Mock option C', 'Mock option D'],
+          answer: 0,
+          explanation: 'Mock explanation.',
+          timestamp: first
+        },
+        {
+          type: 'short-answer',
+          question: 'Mock short-answer question?',
+          answer: 'Mock model answer.',
+          explanation: 'Mock explanation.',
+          timestamp: last
+        }
+      ],
+      flashcards: [{ front: 'Mock term', back: 'Mock definition.', timestamp: first }]
+    };
+  }
+
+  if (prompt.includes('"results"')) {
+    const ids = Array.from(prompt.matchAll(/\b(q\d+):/g), match => match[1]);
+    return { results: ids.map(questionId => ({ questionId, score: 1, feedback: `Mock feedback [${first}].` })) };
+  }
+
+  return {
+    summary: 'Mock summary of the video.',
+    mainTopics: [{ topic: 'Introduction', timestamp: first, description: 'Mock topic.' }],
+    keyConcepts: [{ concept: 'Mock concept', definition: 'Mock definition.' }],
+    timeline: [{ time: first, event: 'Mock event.' }]
+  };
+}
+
+// Deterministic provider for tests and offline development: no network, same input gives the same output
+export function createMockProvider() {
+  const respond = ({ messages, json }) => {
+    const lastMessage = messages[messages.length - 1]?.content || '';
+    const timestamps = Array.from(lastMessage.matchAll(/\[(\d{1,2}:\d{2}(?::\d{2})?)[\]\s]/g), match => match[1]);
+    if (json) {
+      return JSON.stringify(mockJson(lastMessage, timestamps));
+    }
+    return `Mock answer based on the video${timestamps.length > 0 ? ` [${timestamps[0]}]` : ''}.`;
+  };
+  const usageFor = (messages, content) => ({
+    promptTokens: Math.ceil(messages.reduce((sum, m) => sum + m.content.length, 0) / 4),
+    completionTokens: Math.ceil(content.length / 4)
+  });
+
+  return {
+    name: 'mock',
+    supportsJsonMode: true,
+
+    async complete(options) {
+      const content = respond(options);
+      return { content, usage: usageFor(options.messages, content) };
+    },
+
+    async *stream({ onUsage = () => {}, ...options }) {
+      const content = respond(options);
+      for (const token of content.split(/(?<= )/)) {
+        if (options.signal?.aborted) return;
+        yield token;
+      }
+      onUsage(usageFor(options.messages, content));
+    },
+
+    // Flags any text containing "[flagged]", so the moderation path can be exercised offline
+    async moderate(input) {
+      const flagged = input.includes('[flagged]');
+      return { flagged, categories: flagged ? ['mock'] : [] };
+    }
+  };
+}
+
+// Function to map a provider failure to a typed error (429 -> QuotaExceededError, anything else -> UpstreamError)
+// Aborts are passed through so callers can tell a disconnected client from a failed model
+export function llmError(error, providerName) {
+  if (error instanceof AppError || error.name === 'AbortError' || error.name === 'APIUserAbortError') return error;
+
+  const status = error.status || null;
+  if (status === 429) {
+    const retryAfter = parseInt(error.headers?.['retry-after'] || '', 10) || null;
+    return new QuotaExceededError(`The ${providerName} model is rate limited. Please try again later.`, {
+      code: 'llm_rate_limited',
+      retryAfter,
+      cause: error
+    });
+  }
+
+  return new UpstreamError(`The ${providerName} model request failed${status ? ` (${status})` : ''}`, {
+    code: 'llm_error',
+    cause: error
+  });
+}
+
+// Function to wrap a provider so every failure surfaces as a typed error
+function withTypedErrors(provider) {
+  return {
+    ...provider,
+
+    async complete(options) {
+      try {
+        return await provider.complete(options);
+      } catch (error) {
+        throw llmError(error, provider.name);
+      }
+    },
+
+    async *stream(options) {
+      try {
+        yield* provider.stream(options);
+      } catch (error) {
+        throw llmError(error, provider.name);
+      }
+    },
+
+    ...(provider.moderate ? {
+      async moderate(input, options) {
+        try {
+          return await provider.moderate(input, options);
+        } catch (error) {
+          throw llmError(error, provider.name);
+        }
+      }
+    } : {})
+  };
+}
+
+// Function to create the LLM provider selected by LLM_PROVIDER
+// fetch is the shared HTTP client (lib/http.js), which does the timeouts and retries for every backend
+export function createLLMProvider(name = process.env.LLM_PROVIDER || 'openai', { fetch = nodeFetch } = {}) {
+  return withTypedErrors(createProvider(name, fetch));
+}
+
+function createProvider(name, fetch) {
+  switch (name) {
+    case 'openai':
+      return createOpenAICompatibleProvider({
+        client: new OpenAI({ apiKey: process.env.OPENAI_API_KEY, fetch, maxRetries: 0 }),
+        supportsModeration: true
+      });
+    case 'azure':
+      // Azure routes by deployment; the "model" setting is the deployment name
+      return createOpenAICompatibleProvider({
+        name: 'azure',
+        client: new OpenAI({
+          apiKey: process.env.AZURE_OPENAI_API_KEY,
+          baseURL: `${process.env.AZURE_OPENAI_ENDPOINT}/openai/deployments/${process.env.AZURE_OPENAI_DEPLOYMENT}`,
+          defaultQuery: { 'api-version': process.env.AZURE_OPENAI_API_VERSION || '2024-06-01' },
+          defaultHeaders: { 'api-key': process.env.AZURE_OPENAI_API_KEY },
+          fetch,
+          maxRetries: 0
+        }),
+        supportsStreamUsage: false
+      });
+    case 'ollama':
+      return createOpenAICompatibleProvider({
+        name: 'ollama',
+        client: new OpenAI({
+          apiKey: 'ollama',
+          baseURL: `${process.env.OLLAMA_BASE_URL || 'http://localhost:11434'}/v1`,
+          fetch,
+          maxRetries: 0
+        }),
+        supportsJsonMode: process.env.OLLAMA_JSON_MODE !== 'false',
+        supportsStreamUsage: false
+      });
+    case 'anthropic':
+      return createAnthropicProvider({ apiKey: process.env.ANTHROPIC_API_KEY, fetch });
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+// Function to resolve the analysis and chat model names for a provider
+export function getModelSettings(providerName = process.env.LLM_PROVIDER || 'openai') {
+  const fallback = DEFAULT_MODELS[providerName] || DEFAULT_MODELS.openai;
+  return {
+    analysisModel: process.env.ANALYSIS_MODEL || fallback,
+    chatModel: process.env.CHAT_MODEL || fallback
+  };
+}
@@ -0,0 +1,82 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+export const LOG_FORMATS = ['json', 'pretty'];
+
+// Header and field names whose values never reach the logs
+const REDACTED_KEYS = /^(authorization|proxy-authorization|cookie|set-cookie|x-api-key|api[-_]?key|.*token|.*secret|password|private_key|credentials)$/i;
+const MAX_STRING_LENGTH = 500; // Long strings (caption payloads, prompts) are cut down to this
+const MAX_DEPTH = 5;
+
+// Fields added to every line logged while handling a request (request ID, client), including inside jobs
+const logContext = new AsyncLocalStorage();
+
+export function runWithLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+// Function to make a value safe to log: redacts secrets, truncates long strings and flattens errors
+export function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined ? { code: value.code } : {}),
+      ...(value.status !== undefined ? { status: value.status } : {}),
+      ...(value.cause ? { cause: redact(value.cause, depth + 1) } : {}),
+      stack: value.stack?.split('\n').slice(0, 6).join('\n')
+    };
+  }
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH
+      ? `${value.slice(0, MAX_STRING_LENGTH)}... (${value.length} chars)`
+      : value;
+  }
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Object]';
+  if (Array.isArray(value)) {
+    const items = value.slice(0, 20).map(item => redact(item, depth + 1));
+    return value.length > 20 ? [...items, `... (${value.length} items)`] : items;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+    [key, REDACTED_KEYS.test(key) ? '[REDACTED]' : redact(item, depth + 1)]
+  ));
+}
+
+// Leveled logger writing one line per entry: JSON in production, readable text otherwise
+export function createLogger({
+  level = 'info',
+  format = process.env.NODE_ENV === 'production' ? 'json' : 'pretty',
+  fields = {}
+} = {}) {
+  const settings = { level, format };
+
+  function write(entryLevel, message, extra = {}) {
+    if (LOG_LEVELS[entryLevel] < LOG_LEVELS[settings.level]) return;
+
+    const entry = redact({ ...fields, ...logContext.getStore(), ...extra });
+    const time = new Date().toISOString();
+    const line = settings.format === 'json'
+      ? JSON.stringify({ time, level: entryLevel, message, ...entry })
+      : `${time} ${entryLevel.toUpperCase().padEnd(5)} ${message}${Object.keys(entry).length > 0 ? ` ${JSON.stringify(entry)}` : ''}`;
+
+    (LOG_LEVELS[entryLevel] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+  }
+
+  return {
+    debug: (message, extra) => write('debug', message, extra),
+    info: (message, extra) => write('info', message, extra),
+    warn: (message, extra) => write('warn', message, extra),
+    error: (message, extra) => write('error', message, extra),
+
+    // Function to change the level/format after startup (once the config is loaded)
+    configure({ level, format } = {}) {
+      if (level) settings.level = level;
+      if (format) settings.format = format;
+    }
+  };
+}
+
+// Shared logger for the server and every lib module
+export const logger = createLogger();
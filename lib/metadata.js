@@ -0,0 +1,85 @@
+import { formatDuration, timestampToSeconds } from './time.js';
+
+// YouTube only shows chapters when there are at least 3, starting at 0:00, each at least 10 seconds long
+const MIN_CHAPTERS = 3;
+const MIN_CHAPTER_SECONDS = 10;
+
+// Function to convert an ISO-8601 duration from contentDetails ("PT1H2M3S", "P1DT5M") to seconds
+export function parseIsoDuration(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+  if (!match) return null;
+
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+// Function to read one chapter line: "0:00 Intro", "(1:23) Setup", "Setup - 1:23"
+function parseChapterLine(line) {
+  const leading = line.match(/^[\s•\-*▶►]*[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*(?:[-–—:|]\s*)?(.+)$/);
+  if (leading) return { timestamp: leading[1], title: leading[2] };
+
+  const trailing = line.match(/^(.+?)\s*(?:[-–—:|]\s*)?[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*$/);
+  if (trailing) return { timestamp: trailing[2], title: trailing[1] };
+
+  return null;
+}
+
+// Function to parse creator-provided chapters from a video description, following YouTube's own rules
+// Returns [] when the description has no valid chapter list
+export function parseChapters(description, durationSeconds = null) {
+  if (typeof description !== 'string') return [];
+
+  const chapters = [];
+  for (const line of description.split(/\r?\n/)) {
+    const parsed = parseChapterLine(line.trim());
+    if (!parsed) continue;
+
+    const start = timestampToSeconds(parsed.timestamp);
+    const title = parsed.title.replace(/^[\s\-–—:|]+|[\s\-–—:|]+$/g, '');
+    if (start === null || !title) continue;
+    if (durationSeconds && start >= durationSeconds) continue;
+
+    // The list restarts if the description has a second block starting at 0:00
+    if (start === 0 && chapters.length > 0 && chapters.length < MIN_CHAPTERS) chapters.length = 0;
+    if (chapters.length === 0 && start !== 0) continue;
+    if (chapters.length > 0 && start - chapters[chapters.length - 1].start < MIN_CHAPTER_SECONDS) continue;
+
+    chapters.push({ title, start });
+  }
+
+  if (chapters.length < MIN_CHAPTERS) return [];
+
+  return chapters.map((chapter, i) => ({
+    title: chapter.title,
+    timestamp: formatDuration(chapter.start),
+    start: chapter.start,
+    end: i + 1 < chapters.length ? chapters[i + 1].start : durationSeconds
+  }));
+}
+
+// Function to keep the url/width/height of each thumbnail size
+function pickThumbnails(thumbnails = {}) {
+  return Object.fromEntries(
+    Object.entries(thumbnails).map(([size, { url, width, height }]) => [size, { url, width, height }])
+  );
+}
+
+// Function to turn a videos.list resource (snippet + contentDetails) into the metadata we store and return
+export function videoMetadataFromResource(video) {
+  const snippet = video.snippet || {};
+  const duration = parseIsoDuration(video.contentDetails?.duration);
+  const description = snippet.description || '';
+
+  return {
+    title: snippet.title || 'YouTube Video',
+    duration,
+    author: snippet.channelTitle || null,
+    channelId: snippet.channelId || null,
+    publishedAt: snippet.publishedAt || null,
+    description,
+    tags: snippet.tags || [],
+    thumbnails: pickThumbnails(snippet.thumbnails),
+    chapters: parseChapters(description, duration)
+  };
+}
@@ -0,0 +1,63 @@
+import en from './en.js';
+import ms from './ms.js';
+
+// To add a locale, create ./<locale>.js with any subset of the keys in en.js and register it here
+const TEMPLATES = { en, ms };
+
+export const PROMPT_LOCALES = Object.keys(TEMPLATES);
+
+// Function to normalize a language tag ("pt_br", "EN-us") to BCP 47 casing, falling back to English
+export function normalizeLocale(locale) {
+  if (!locale || typeof locale !== 'string') return 'en';
+  try {
+    return Intl.getCanonicalLocales(locale.trim().replace(/_/g, '-'))[0];
+  } catch {
+    return 'en';
+  }
+}
+
+// Function to get the primary language subtag ("pt-BR" -> "pt")
+export function baseLanguage(locale) {
+  return normalizeLocale(locale).split('-')[0].toLowerCase();
+}
+
+// Function to list the locales to try for a language tag, most specific first and ending at English
+export function localeChain(locale) {
+  const parts = normalizeLocale(locale).split('-');
+  const chain = [];
+  for (let i = parts.length; i > 0; i--) {
+    chain.push(parts.slice(0, i).join('-'));
+  }
+  if (!chain.includes('en')) chain.push('en');
+  return chain;
+}
+
+// Function to get the display name of a language, written in another language ("ja" in "en" -> "Japanese")
+export function languageName(locale, displayLocale = 'en') {
+  const normalized = normalizeLocale(locale);
+  try {
+    return new Intl.DisplayNames([normalizeLocale(displayLocale)], { type: 'language' }).of(normalized) || normalized;
+  } catch {
+    return normalized;
+  }
+}
+
+// Function to get the prompt templates for an output language
+// Missing templates are filled from the fallback chain; when no template in the chain is in the
+// requested language, `directive` tells the model which language to write in
+export function getPrompts(locale = 'en') {
+  const found = localeChain(locale).filter(l => TEMPLATES[l]);
+  const templateLocale = found[0];
+  const templates = Object.assign({}, ...[...found].reverse().map(l => TEMPLATES[l]));
+
+  const directive = baseLanguage(templateLocale) === baseLanguage(locale)
+    ? ''
+    : templates.respondIn(languageName(locale, templateLocale));
+
+  return { ...templates, locale: normalizeLocale(locale), templateLocale, directive };
+}
+
+// Function to join prompt lines, skipping empty ones (used to append the language directive)
+export function joinPrompt(...lines) {
+  return lines.filter(Boolean).join('\n       ');
+}
@@ -0,0 +1,78 @@
+import { QuotaExceededError } from './errors.js';
+
+const DEFAULT_BURST = 30;
+const DEFAULT_PER_MINUTE = 30;
+const CLEANUP_INTERVAL = 10 * 60 * 1000;
+
+function rateLimitError(retryAfter) {
+  return new QuotaExceededError(`Rate limit exceeded. Try again in ${retryAfter} seconds.`, {
+    code: 'rate_limited',
+    retryAfter
+  });
+}
+
+// Per-client token buckets: each client holds up to `burst` tokens, refilled at `perMinute` tokens a minute
+export function createRateLimiter({ burst = DEFAULT_BURST, perMinute = DEFAULT_PER_MINUTE } = {}) {
+  const buckets = new Map(); // client ID -> { tokens, updatedAt }
+
+  function refill(bucket, now) {
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 60000) * perMinute);
+    bucket.updatedAt = now;
+  }
+
+  // Buckets that have refilled completely hold no state worth keeping
+  setInterval(() => {
+    const now = Date.now();
+    for (const [clientId, bucket] of buckets) {
+      refill(bucket, now);
+      if (bucket.tokens >= burst) buckets.delete(clientId);
+    }
+  }, CLEANUP_INTERVAL).unref();
+
+  // Function to take `cost` tokens from a client's bucket; retryAfter is in seconds
+  // Work costing more than the burst is allowed from a full bucket and leaves it in debt, so the client
+  // waits for all of it to refill before the next request
+  function take(clientId, cost = 1) {
+    const now = Date.now();
+    const bucket = buckets.get(clientId) || { tokens: burst, updatedAt: now };
+    buckets.set(clientId, bucket);
+    refill(bucket, now);
+
+    const needed = Math.min(cost, burst);
+    if (bucket.tokens >= needed) {
+      bucket.tokens -= cost;
+      return { allowed: true, remaining: Math.max(0, Math.floor(bucket.tokens)), retryAfter: 0 };
+    }
+
+    return {
+      allowed: false,
+      remaining: Math.max(0, Math.floor(bucket.tokens)),
+      retryAfter: Math.ceil(((needed - bucket.tokens) / perMinute) * 60)
+    };
+  }
+
+  // Function to charge work found once a request is under way; throws a QuotaExceededError when over the limit
+  function charge(clientId, cost) {
+    if (cost <= 0) return;
+    const result = take(clientId, cost);
+    if (!result.allowed) throw rateLimitError(result.retryAfter);
+  }
+
+  // Middleware charging getCost(req) tokens per request to req.clientId; an empty bucket is passed on as a
+  // QuotaExceededError, which the error handler answers with 429 and Retry-After
+  function limit(getCost = () => 1) {
+    return (req, res, next) => {
+      const result = take(req.clientId, getCost(req));
+      res.set('RateLimit-Limit', String(burst));
+      res.set('RateLimit-Remaining', String(result.remaining));
+
+      if (!result.allowed) {
+        return next(rateLimitError(result.retryAfter));
+      }
+
+      next();
+    };
+  }
+
+  return { take, charge, limit };
+}
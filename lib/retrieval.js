@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import OpenAI from 'openai';
+import { estimateTokens } from './conversations.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_TOP_K = 6;
+export const DEFAULT_TOKEN_BUDGET = 3000; // Cap on transcript tokens handed to the chat prompt
+export const DEFAULT_LEXICAL_WEIGHT = 0.3; // Share of the score that comes from BM25 (0 = embeddings only)
+
+const EMBEDDING_BATCH_SIZE = 100;
+
+// Function to fold case and diacritics so "Café" and "cafe" compare equal
+export function foldText(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '');
+}
+
+// Function to split text into lowercase word tokens (works for any script, not just Latin)
+export function tokenize(text) {
+  return foldText(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 1);
+}
+
+// Embedder backed by the OpenAI embeddings API
+// onUsage receives { promptTokens, completionTokens } for every embeddings request
+export function createOpenAIEmbedder(openai, { model = 'text-embedding-3-small', dimensions = 512, onUsage = () => {} } = {}) {
+  return {
+    id: `openai:${model}:${dimensions}`,
+    async embed(texts) {
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+        const response = await openai.embeddings.create({
+          model,
+          dimensions,
+          input: texts.slice(i, i + EMBEDDING_BATCH_SIZE)
+        });
+        vectors.push(...response.data.sort((a, b) => a.index - b.index).map(d => d.embedding));
+        if (response.usage) onUsage({ promptTokens: response.usage.prompt_tokens || 0, completionTokens: 0 });
+      }
+      return vectors;
+    }
+  };
+}
+
+// Deterministic hashing embedder: no network, same input always gives the same vector (used offline and in tests)
+export function createLocalEmbedder({ dimensions = 256 } = {}) {
+  return {
+    id: `local:hash:${dimensions}`,
+    async embed(texts) {
+      return texts.map(text => {
+        const vector = new Array(dimensions).fill(0);
+        for (const token of tokenize(text)) {
+          const hash = crypto.createHash('md5').update(token).digest();
+          const index = hash.readUInt32LE(0) % dimensions;
+          vector[index] += hash[4] & 1 ? 1 : -1;
+        }
+        return vector;
+      });
+    }
+  };
+}
+
+// Function to create the embedder selected by EMBEDDING_PROVIDER (local when no OpenAI key is configured)
+export function createEmbedder(
+  provider = process.env.EMBEDDING_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'local'),
+  { onUsage, fetch } = {}
+) {
+  switch (provider) {
+    case 'openai':
+      return createOpenAIEmbedder(new OpenAI({ apiKey: process.env.OPENAI_API_KEY, fetch, maxRetries: 0 }), {
+        model: process.env.EMBEDDING_MODEL || undefined,
+        onUsage
+      });
+    case 'local':
+      return createLocalEmbedder();
+    default:
+      throw new Error(`Unknown embedding provider: ${provider}`);
+  }
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+// Function to score every document against a query with Okapi BM25
+export function bm25Scores(documents, query, { k1 = 1.2, b = 0.75 } = {}) {
+  const docTokens = documents.map(tokenize);
+  const avgLength = docTokens.reduce((sum, tokens) => sum + tokens.length, 0) / (docTokens.length || 1);
+  const queryTokens = [...new Set(tokenize(query))];
+
+  const documentFrequency = new Map();
+  for (const tokens of docTokens) {
+    for (const token of new Set(tokens)) {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }
+  }
+
+  return docTokens.map(tokens => {
+    const termFrequency = new Map();
+    for (const token of tokens) {
+      termFrequency.set(token, (termFrequency.get(token) || 0) + 1);
+    }
+
+    return queryTokens.reduce((score, token) => {
+      const tf = termFrequency.get(token) || 0;
+      if (!tf) return score;
+      const df = documentFrequency.get(token);
+      const idf = Math.log(1 + (docTokens.length - df + 0.5) / (df + 0.5));
+      return score + idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * tokens.length / (avgLength || 1)));
+    }, 0);
+  });
+}
+
+// Function to embed chunks, reusing cached vectors when they came from the same embedder
+export async function embedChunks(chunks, embedder, cached = null) {
+  if (cached && cached.embedder === embedder.id && cached.vectors?.length === chunks.length) {
+    return { embeddings: cached, updated: false };
+  }
+
+  const vectors = await embedder.embed(chunks.map(chunk => chunk.text));
+  return {
+    embeddings: { embedder: embedder.id, vectors },
+    updated: true
+  };
+}
+
+// Function to keep the best chunks that fit top-k and the token budget, returned in video order
+export function capChunks(rankedChunks, { topK = DEFAULT_TOP_K, tokenBudget = DEFAULT_TOKEN_BUDGET } = {}) {
+  const selected = [];
+  let used = 0;
+
+  for (const chunk of rankedChunks) {
+    if (selected.length >= topK) break;
+    const tokens = estimateTokens(chunk.text);
+    // Always allow at least one chunk, even if it alone is over budget
+    if (selected.length > 0 && used + tokens > tokenBudget) continue;
+    selected.push(chunk);
+    used += tokens;
+  }
+
+  return selected.sort((a, b) => a.startTime - b.startTime);
+}
+
+// Function to pick chunks spread evenly over a stretch of the video (for summaries and broad time ranges)
+export function spreadChunks(chunks, { topK = DEFAULT_TOP_K, tokenBudget = DEFAULT_TOKEN_BUDGET } = {}) {
+  const ordered = [...chunks].sort((a, b) => a.startTime - b.startTime);
+  if (ordered.length <= topK) return capChunks(ordered, { topK, tokenBudget });
+
+  const step = ordered.length / topK;
+  const picked = Array.from({ length: topK }, (_, i) => ordered[Math.floor(i * step + step / 2)]);
+  return capChunks(picked, { topK, tokenBudget });
+}
+
+// Function to rank chunks by cosine similarity, optionally mixed with BM25, and cap the result
+export async function rankChunks(chunks, query, {
+  embedder = null,
+  embeddings = null,
+  lexicalWeight = DEFAULT_LEXICAL_WEIGHT,
+  topK = DEFAULT_TOP_K,
+  tokenBudget = DEFAULT_TOKEN_BUDGET
+} = {}) {
+  if (chunks.length === 0) return [];
+
+  const lexical = bm25Scores(chunks.map(chunk => chunk.text), query);
+  const maxLexical = Math.max(...lexical) || 1;
+
+  let semantic = null;
+  if (embedder && embeddings) {
+    try {
+      const [queryVector] = await embedder.embed([query]);
+      semantic = embeddings.vectors.map(vector => cosineSimilarity(vector, queryVector));
+    } catch (error) {
+      logger.warn('Query embedding failed, falling back to lexical ranking', { error: error.message });
+    }
+  }
+
+  const weight = semantic ? lexicalWeight : 1;
+  const scored = chunks.map((chunk, i) => ({
+    chunk,
+    score: (1 - weight) * (semantic ? semantic[i] : 0) + weight * (lexical[i] / maxLexical)
+  }));
+
+  return capChunks(
+    scored.sort((a, b) => b.score - a.score).map(s => s.chunk),
+    { topK, tokenBudget }
+  );
+}
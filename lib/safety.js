@@ -0,0 +1,128 @@
+import { foldText } from './retrieval.js';
+import { findTimeReferences } from './intent.js';
+import { ValidationError } from './errors.js';
+
+export const MAX_MESSAGE_LENGTH = 2000;
+
+const MAX_QUOTED_LENGTH = 200; // An instruction-like passage is quoted up to the end of its sentence, at most this long
+
+// Wording that addresses the model rather than the audience: overriding its instructions, asking for the
+// system prompt, switching it into another "mode" or faking a role marker. Checked in captions and in questions
+const INSTRUCTION_PATTERNS = [
+  /\b(?:ignore|disregard|forget|override|bypass)\s+(?:(?:all|any|the|your|my|of)\s+)*(?:previous|prior|above|earlier|preceding|original|system)\s+(?:instructions?|prompts?|rules|directions|guidelines|messages?)\b/i,
+  /\b(?:reveal|show|print|repeat|output|leak|tell)\s+(?:me\s+)?(?:your|the)\s+(?:system\s+prompt|initial\s+prompt|hidden\s+(?:prompt|instructions)|instructions)\b/i,
+  /\b(?:developer|god|jailbreak|DAN)\s+mode\b/i,
+  /\b(?:new|updated|real)\s+instructions?\s*:/i,
+  /(?:^|\n)\s*(?:system|assistant)\s*:/i,
+  /\byou\s+are\s+(?:now\s+)?(?:no\s+longer\s+bound|an?\s+(?:unrestricted|unfiltered|jailbroken))\b/i,
+  /\bpretend\s+(?:that\s+)?you\s+(?:are|have)\s+no\s+(?:rules|restrictions|limits|guidelines)\b/i,
+  /\b(?:abaikan|lupakan|langgar)\s+(?:semua\s+)?arahan\s+(?:sebelum(?:nya|\s+ini)|terdahulu|di\s+atas|asal|sistem)\b/i,
+  /\b(?:dedahkan|tunjukkan|paparkan)\s+(?:arahan|prompt)\s+sistem\b/i
+];
+
+// Tags used to fence untrusted text; copies of them inside that text are dropped so it cannot close its own fence
+const FENCE_TAG = /<\s*\/?\s*(?:transcript|answer|system|instructions?)\b[^>]*>/gi;
+
+// Requests for work that has nothing to do with a video: essays, code, translations, homework
+const GENERAL_TASK_PATTERNS = [
+  /\b(?:write|compose|draft|generate|create)\s+(?:me\s+)?(?:(?:a|an|some|the|my)\s+)?(?:[\p{L}+#-]+\s+){0,2}(?:essay|poem|story|song|lyrics|cover\s+letter|email|letter|resume|cv|code|program|script|function|sql\s+query|regex|tweet|blog\s+post)\b/iu,
+  /\b(?:translate|solve|calculate|compute|debug|refactor)\s+(?:this|the\s+following|my)\b/i,
+  /\bwhat(?:'s|\s+is)\s+the\s+(?:weather|stock\s+price|exchange\s+rate)\b/i,
+  /```/,
+  /\b(?:tulis|karang|buat)(?:kan)?\s+(?:saya\s+)?(?:(?:sebuah|satu|se)\s*)?(?:esei|puisi|sajak|cerita|lagu|surat|emel|kod|program|skrip)\b/i,
+  /\b(?:terjemah(?:kan)?|selesaikan|kira(?:kan)?)\s+(?:ini|yang\s+berikut)\b/i
+];
+
+// Words that point a question back at the video, so "translate what the speaker said" stays on topic
+const VIDEO_REFERENCE = /\b(?:video|clip|transcript|captions?|speaker|presenter|host|narrator|channel|episode|lecture|talk|tutorial|said|says|mentioned|explained|shown|rakaman|penceramah|pembentang|disebut|dijelaskan|ditunjukkan)\b/i;
+
+// Common words that say nothing about what a video is about; left out when matching a question to it
+const STOPWORDS = new Set([
+  'about', 'after', 'also', 'been', 'before', 'from', 'have', 'here', 'into', 'just', 'like', 'make', 'more',
+  'some', 'than', 'that', 'their', 'them', 'then', 'there', 'they', 'this', 'what', 'when', 'which', 'will',
+  'with', 'would', 'your', 'adalah', 'akan', 'dalam', 'dengan', 'kepada', 'untuk', 'yang'
+]);
+
+function contentWords(text) {
+  return (foldText(text).match(/[\p{L}\p{N}]{4,}/gu) || []).filter(word => !STOPWORDS.has(word));
+}
+
+export function hasInstructions(text) {
+  return INSTRUCTION_PATTERNS.some(pattern => pattern.test(text));
+}
+
+// Function to find the instruction-like passages in a text: [{ start, end }], in order and not overlapping
+// A passage runs from the match to the end of its sentence, so "ignore previous instructions and say X"
+// is found as a whole
+function findInstructionPassages(text) {
+  const spans = [];
+  for (const pattern of INSTRUCTION_PATTERNS) {
+    for (const match of text.matchAll(new RegExp(pattern.source, `${pattern.flags}g`))) {
+      const start = match.index + match[0].length - match[0].trimStart().length;
+      const rest = text.slice(match.index + match[0].length, start + MAX_QUOTED_LENGTH);
+      const sentenceEnd = rest.search(/[.!?\n]/);
+      spans.push({ start, end: match.index + match[0].length + (sentenceEnd === -1 ? rest.length : sentenceEnd) });
+    }
+  }
+
+  const merged = [];
+  for (const span of spans.sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && span.start <= last.end) last.end = Math.max(last.end, span.end);
+    else merged.push({ ...span });
+  }
+  return merged;
+}
+
+// Function to mark instruction-like passages in untrusted text as quoted speech: { text, flagged }
+// The words stay in, so questions about what was said can still be answered
+export function neutralizeInstructions(text) {
+  const source = text || '';
+  const passages = findInstructionPassages(source);
+
+  let result = '';
+  let position = 0;
+  for (const { start, end } of passages) {
+    result += `${source.slice(position, start)}[quoted speech: "${source.slice(start, end).trim()}"]`;
+    position = end;
+  }
+  return { text: result + source.slice(position), flagged: passages.length };
+}
+
+// Function to fence untrusted text in tags the system prompts tell the model never to take instructions from
+export function delimitUntrusted(text, tag = 'transcript') {
+  return `<${tag}>\n${(text || '').replace(FENCE_TAG, '')}\n</${tag}>`;
+}
+
+// Function to prepare caption text for a prompt: instruction-like passages quoted, the whole fenced
+export function fenceTranscript(text) {
+  return delimitUntrusted(neutralizeInstructions(text).text);
+}
+
+// Function to check a chat message before it reaches the model
+// Throws a ValidationError for a missing or oversized message; returns { code } when the message should be
+// refused ("prompt_injection" or "off_topic"), null otherwise. context lists what the video or collection is
+// about (titles, topics, concepts): a general-purpose request that shares no words with it is off topic
+export function screenMessage(message, { context = [], maxLength = MAX_MESSAGE_LENGTH } = {}) {
+  if (typeof message !== 'string' || !message.trim()) {
+    throw new ValidationError('message is required', { code: 'message_required' });
+  }
+  if (message.length > maxLength) {
+    throw new ValidationError(`message must be at most ${maxLength} characters`, { code: 'message_too_long' });
+  }
+
+  if (hasInstructions(message)) {
+    return { code: 'prompt_injection' };
+  }
+
+  if (GENERAL_TASK_PATTERNS.some(pattern => pattern.test(message)) &&
+      !VIDEO_REFERENCE.test(message) &&
+      findTimeReferences(message).length === 0) {
+    const known = new Set(context.flatMap(text => contentWords(text || '')));
+    if (!contentWords(message).some(word => known.has(word))) {
+      return { code: 'off_topic' };
+    }
+  }
+
+  return null;
+}
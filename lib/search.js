@@ -0,0 +1,221 @@
+import { foldText } from './retrieval.js';
+import { formatDuration, msToSeconds } from './time.js';
+import { videoDeepLink } from './export.js';
+
+export const DEFAULT_SEARCH_LIMIT = 50;
+export const MAX_SEARCH_LIMIT = 200;
+
+const PROXIMITY_WORDS = 8; // Unquoted terms must all occur within this many words of each other
+const CONTEXT_ITEMS = 1; // Caption items shown either side of a hit
+const MIN_FUZZY_LENGTH = 4; // Shorter terms only match exactly
+const MATCH_SCORES = { exact: 1, prefix: 0.8, fuzzy: 0.6 };
+const SCATTERED_PENALTY = 0.85; // Terms found near each other but not as a run in query order
+
+const WORD = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+function foldWord(word) {
+  return foldText(word).replace(/['’]/g, '');
+}
+
+function queryWords(text) {
+  return Array.from(text.matchAll(WORD), match => foldWord(match[0]));
+}
+
+// Function to list the words of every caption item with their position in it: { term, item, start, end }
+// Searching this flat list rather than item by item lets a phrase run across caption boundaries
+function indexWords(transcript) {
+  const words = [];
+  transcript.forEach((item, itemIndex) => {
+    for (const match of item.text.matchAll(WORD)) {
+      words.push({ term: foldWord(match[0]), item: itemIndex, start: match.index, end: match.index + match[0].length });
+    }
+  });
+  return words;
+}
+
+// Function to split a query into clauses, in query order: each "quoted phrase" is one clause, every other
+// word its own. An unmatched quote is ignored
+export function parseSearchQuery(query) {
+  const clauses = [];
+  for (const [, quoted, plain] of query.matchAll(/"([^"]*)"|([^"]+)/g)) {
+    if (quoted !== undefined) {
+      const terms = queryWords(quoted);
+      if (terms.length > 0) clauses.push({ terms, phrase: true });
+    } else {
+      clauses.push(...queryWords(plain).map(term => ({ terms: [term], phrase: false })));
+    }
+  }
+  return clauses;
+}
+
+// Function to compute the edit distance between two words, giving up once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Function to tell how a transcript word matches a query term: "exact", "prefix", "fuzzy" or null
+// Numbers and short terms only match exactly, so "1998" never finds "1999"
+function matchTerm(term, word, fuzzy) {
+  if (word === term) return 'exact';
+  if (!fuzzy || term.length < MIN_FUZZY_LENGTH || /^\d+$/.test(term)) return null;
+  if (word.startsWith(term)) return 'prefix';
+
+  const maxEdits = term.length >= 8 ? 2 : 1;
+  return editDistance(term, word, maxEdits) <= maxEdits ? 'fuzzy' : null;
+}
+
+// Function to find every occurrence of a clause: { start, end, words, score, match }
+// Phrases match their words exactly and in a row; single terms may match fuzzily
+function findClause(clause, words, fuzzy) {
+  const occurrences = [];
+
+  for (let i = 0; i + clause.terms.length <= words.length; i++) {
+    if (clause.phrase) {
+      if (clause.terms.every((term, j) => words[i + j].term === term)) {
+        const indices = clause.terms.map((_, j) => i + j);
+        occurrences.push({ start: i, end: i + clause.terms.length - 1, words: indices, score: 1, match: 'exact' });
+      }
+      continue;
+    }
+
+    const match = matchTerm(clause.terms[0], words[i].term, fuzzy);
+    if (match) occurrences.push({ start: i, end: i, words: [i], score: MATCH_SCORES[match], match });
+  }
+
+  return occurrences;
+}
+
+// Function to combine clause occurrences into hits where every clause occurs within PROXIMITY_WORDS words
+function combineClauses(occurrencesByClause) {
+  if (occurrencesByClause.length === 1) return occurrencesByClause[0];
+  if (occurrencesByClause.some(occurrences => occurrences.length === 0)) return [];
+
+  // Anchor on the rarest clause and look for the nearest occurrence of every other one
+  const anchorIndex = occurrencesByClause.reduce((best, occurrences, i) =>
+    occurrences.length < occurrencesByClause[best].length ? i : best, 0);
+  const hits = [];
+
+  for (const anchor of occurrencesByClause[anchorIndex]) {
+    const chosen = [];
+    for (const [i, occurrences] of occurrencesByClause.entries()) {
+      if (i === anchorIndex) {
+        chosen.push(anchor);
+        continue;
+      }
+      const gap = o => Math.max(0, o.start - anchor.end, anchor.start - o.end);
+      const nearest = occurrences.reduce((best, o) => (!best || gap(o) < gap(best) ? o : best), null);
+      if (gap(nearest) > PROXIMITY_WORDS) break;
+      chosen.push(nearest);
+    }
+    if (chosen.length < occurrencesByClause.length) continue;
+
+    const start = Math.min(...chosen.map(o => o.start));
+    const end = Math.max(...chosen.map(o => o.end));
+    const wordCount = chosen.reduce((sum, o) => sum + o.words.length, 0);
+    const inOrder = chosen.every((o, i) => i === 0 || o.start === chosen[i - 1].end + 1);
+    const score = chosen.reduce((sum, o) => sum + o.score, 0) / chosen.length;
+
+    hits.push({
+      start,
+      end,
+      words: chosen.flatMap(o => o.words),
+      score: inOrder && end - start + 1 === wordCount ? score : score * SCATTERED_PENALTY,
+      match: chosen.every(o => o.match === 'exact') ? 'exact' : 'fuzzy'
+    });
+  }
+
+  return hits;
+}
+
+// Function to drop hits that overlap a better one
+function removeOverlaps(hits) {
+  const kept = [];
+  for (const hit of [...hits].sort((a, b) => b.score - a.score || a.start - b.start)) {
+    if (!kept.some(k => hit.start <= k.end && hit.end >= k.start)) kept.push(hit);
+  }
+  return kept;
+}
+
+// Function to turn a hit into a result with the surrounding captions as context
+// highlights are { start, end } character ranges (end exclusive) of the matched words inside `context`
+function buildResult(hit, words, transcript, videoId) {
+  const firstItem = words[hit.start].item;
+  const lastItem = words[hit.end].item;
+  const from = Math.max(0, firstItem - CONTEXT_ITEMS);
+  const to = Math.min(transcript.length - 1, lastItem + CONTEXT_ITEMS);
+
+  let context = '';
+  const itemStarts = new Map();
+  for (let i = from; i <= to; i++) {
+    if (context) context += ' ';
+    itemStarts.set(i, context.length);
+    context += transcript[i].text;
+  }
+
+  // Words of one phrase are highlighted as a single range, including the spaces between them
+  const highlights = [];
+  for (const index of [...hit.words].sort((a, b) => a - b)) {
+    const word = words[index];
+    const start = itemStarts.get(word.item) + word.start;
+    const end = itemStarts.get(word.item) + word.end;
+    const previous = highlights[highlights.length - 1];
+    if (previous && /^[\s\p{P}]*$/u.test(context.slice(previous.end, start))) {
+      previous.end = end;
+    } else {
+      highlights.push({ start, end });
+    }
+  }
+
+  const seconds = Math.floor(msToSeconds(transcript[firstItem].offset));
+  const end = transcript[lastItem];
+  return {
+    offset: transcript[firstItem].offset,
+    endOffset: end.offset + (end.duration || 0),
+    timestamp: formatDuration(seconds),
+    url: videoDeepLink(videoId, seconds),
+    context,
+    highlights,
+    match: hit.match,
+    score: Math.round(hit.score * 100) / 100
+  };
+}
+
+// Function to search caption items: { total, results } with results in video order, or best first with
+// sort "relevance". Case and diacritics are ignored; fuzzy adds prefix and small-typo matches for single terms
+export function searchTranscript(transcript, query, {
+  videoId,
+  fuzzy = true,
+  sort = 'time',
+  limit = DEFAULT_SEARCH_LIMIT
+} = {}) {
+  const clauses = parseSearchQuery(query);
+  if (clauses.length === 0) return { total: 0, results: [] };
+
+  const words = indexWords(transcript);
+  const hits = removeOverlaps(combineClauses(clauses.map(clause => findClause(clause, words, fuzzy))));
+  hits.sort(sort === 'relevance'
+    ? (a, b) => b.score - a.score || a.start - b.start
+    : (a, b) => a.start - b.start);
+
+  return {
+    total: hits.length,
+    results: hits.slice(0, limit).map(hit => buildResult(hit, words, transcript, videoId))
+  };
+}
@@ -0,0 +1,266 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import path from 'path';
+import os from 'os';
+import { logger } from './logger.js';
+
+// Bump this whenever the analysis prompts or output shape change so cached analyses are regenerated
+export const ANALYSIS_VERSION = 4;
+
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+function isExpired(entry, now = Date.now()) {
+  return entry.expiresAt !== null && entry.expiresAt <= now;
+}
+
+// In-memory backend with TTL and LRU eviction (Map keeps insertion order, so re-inserting marks as recent)
+export class MemoryStore {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES, ttl = DEFAULT_TTL } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (isExpired(entry)) {
+      this.entries.delete(key);
+      return null;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, { ttl = this.ttl } = {}) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: ttl ? Date.now() + ttl : null });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async keys(prefix = '') {
+    const now = Date.now();
+    return Array.from(this.entries.entries())
+      .filter(([key, entry]) => key.startsWith(prefix) && !isExpired(entry, now))
+      .map(([key]) => key);
+  }
+}
+
+// File backend: one JSON file per key, survives restarts; access times are tracked for LRU eviction
+export class FileStore {
+  constructor({ dir, maxEntries = DEFAULT_MAX_ENTRIES, ttl = DEFAULT_TTL } = {}) {
+    this.dir = dir;
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    // key -> { accessedAt, expiresAt }, loaded lazily: access times from file mtimes, expiry times (undefined
+    // until known) from the entries themselves as they are read
+    this.index = null;
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${encodeURIComponent(key)}.json`);
+  }
+
+  async loadIndex() {
+    if (this.index) return this.index;
+
+    await fs.mkdir(this.dir, { recursive: true });
+    const files = (await fs.readdir(this.dir)).filter(f => f.endsWith('.json'));
+    const index = new Map();
+
+    for (const file of files) {
+      try {
+        const stat = await fs.stat(path.join(this.dir, file));
+        index.set(decodeURIComponent(file.slice(0, -'.json'.length)), { accessedAt: stat.mtimeMs, expiresAt: undefined });
+      } catch {
+        // File removed while we were scanning
+      }
+    }
+
+    this.index = index;
+    return index;
+  }
+
+  async get(key) {
+    const index = await this.loadIndex();
+    if (!index.has(key)) return null;
+
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      logger.warn('Failed to read store entry', { key, error: error.message });
+      index.delete(key);
+      return null;
+    }
+
+    if (isExpired(entry)) {
+      await this.delete(key);
+      return null;
+    }
+
+    const now = Date.now();
+    index.set(key, { accessedAt: now, expiresAt: entry.expiresAt });
+    fs.utimes(this.filePath(key), new Date(now), new Date(now)).catch(() => {});
+    return entry.value;
+  }
+
+  async set(key, value, { ttl = this.ttl } = {}) {
+    const index = await this.loadIndex();
+    const entry = { value, expiresAt: ttl ? Date.now() + ttl : null };
+
+    // Write to a temp file first so a crash mid-write never leaves a truncated entry. Each write gets its own
+    // temp file: overlapping writes to one key would otherwise rename it away from under each other
+    const target = this.filePath(key);
+    const temp = `${target}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.writeFile(temp, JSON.stringify(entry));
+      await fs.rename(temp, target);
+    } catch (error) {
+      await fs.rm(temp, { force: true });
+      throw error;
+    }
+    index.set(key, { accessedAt: Date.now(), expiresAt: entry.expiresAt });
+
+    await this.evict();
+  }
+
+  async delete(key) {
+    const index = await this.loadIndex();
+    index.delete(key);
+    await fs.rm(this.filePath(key), { force: true });
+  }
+
+  // Expired entries are left out (and removed), as in MemoryStore
+  async keys(prefix = '') {
+    const index = await this.loadIndex();
+    const now = Date.now();
+    const keys = [];
+
+    for (const [key, meta] of Array.from(index.entries())) {
+      if (!key.startsWith(prefix)) continue;
+      if (meta.expiresAt === undefined) {
+        try {
+          meta.expiresAt = JSON.parse(await fs.readFile(this.filePath(key), 'utf8')).expiresAt ?? null;
+        } catch {
+          index.delete(key);
+          continue;
+        }
+      }
+      if (isExpired(meta, now)) {
+        await this.delete(key);
+        continue;
+      }
+      keys.push(key);
+    }
+
+    return keys;
+  }
+
+  async evict() {
+    const index = this.index;
+    if (index.size <= this.maxEntries) return;
+
+    const oldest = Array.from(index.entries())
+      .sort((a, b) => a[1].accessedAt - b[1].accessedAt)
+      .slice(0, index.size - this.maxEntries);
+
+    for (const [key] of oldest) {
+      await this.delete(key);
+    }
+  }
+}
+
+// Function to create a storage backend from the store settings (config.store)
+// name puts the entries in their own subdirectory, so a second store never sees (or evicts) the first one's
+export function createStore({
+  backend = 'file',
+  dir = path.join(os.tmpdir(), 'youtube-chat-store'),
+  name = null,
+  maxEntries = DEFAULT_MAX_ENTRIES,
+  ttl = DEFAULT_TTL
+} = {}) {
+  switch (backend) {
+    case 'memory':
+      return new MemoryStore({ maxEntries, ttl });
+    case 'file':
+      return new FileStore({ dir: name ? path.join(dir, name) : dir, maxEntries, ttl });
+    default:
+      throw new Error(`Unknown store backend: ${backend}`);
+  }
+}
+
+// Function to wrap a backend with the video-level records the routes work with
+export function createVideoStore(store) {
+  return {
+    store,
+
+    // Processed transcript of the loaded track: { metadata, transcript, chunks, language, captionType, track }
+    getTranscript: videoId => store.get(`transcript:${videoId}`),
+    setTranscript: (videoId, data) => store.set(`transcript:${videoId}`, data),
+
+    // Every caption track that has been loaded, so switching back to one skips the download and analysis
+    async getTrack(videoId, key) {
+      const record = await store.get(`track:${videoId}:${key}`);
+      if (!record || record.version !== ANALYSIS_VERSION) return null;
+      return { data: record.data, analysis: record.analysis };
+    },
+    setTrack: (videoId, key, data, analysis) =>
+      store.set(`track:${videoId}:${key}`, { version: ANALYSIS_VERSION, data, analysis, createdAt: new Date().toISOString() }),
+
+    // Analysis is stored with the version it was produced under; older versions read as missing
+    async getAnalysis(videoId) {
+      const record = await store.get(`analysis:${videoId}`);
+      if (!record || record.version !== ANALYSIS_VERSION) return null;
+      return record.analysis;
+    },
+    setAnalysis: (videoId, analysis) =>
+      store.set(`analysis:${videoId}`, { version: ANALYSIS_VERSION, analysis, createdAt: new Date().toISOString() }),
+
+    // Quiz and flashcards per output language; regenerated along with the analysis they are built from
+    async getStudySet(videoId, language) {
+      const record = await store.get(`study:${videoId}:${language}`);
+      if (!record || record.version !== ANALYSIS_VERSION) return null;
+      return record.studySet;
+    },
+    setStudySet: (videoId, language, studySet) =>
+      store.set(`study:${videoId}:${language}`, { version: ANALYSIS_VERSION, studySet, createdAt: new Date().toISOString() }),
+
+    // Summaries per mode, language and (for range summaries) time range; key is built by the caller
+    async getSummary(videoId, key) {
+      const record = await store.get(`summary:${videoId}:${key}`);
+      if (!record || record.version !== ANALYSIS_VERSION) return null;
+      return record.summary;
+    },
+    setSummary: (videoId, key, summary) =>
+      store.set(`summary:${videoId}:${key}`, { version: ANALYSIS_VERSION, summary, createdAt: new Date().toISOString() }),
+
+    // Study sets and summaries are built from the transcript; drop them whenever it is replaced
+    async deleteDerived(videoId) {
+      for (const prefix of [`study:${videoId}:`, `summary:${videoId}:`]) {
+        for (const key of await store.keys(prefix)) {
+          await store.delete(key);
+        }
+      }
+    },
+
+    async deleteVideo(videoId) {
+      await store.delete(`transcript:${videoId}`);
+      await store.delete(`analysis:${videoId}`);
+      await this.deleteDerived(videoId);
+      for (const key of await store.keys(`track:${videoId}:`)) {
+        await store.delete(key);
+      }
+    }
+  };
+}
@@ -0,0 +1,316 @@
+import { formatDuration, timestampToSeconds } from './time.js';
+import { estimateTokens } from './conversations.js';
+import { completeJson } from './llm.js';
+import { getPrompts, joinPrompt } from './prompts/index.js';
+import { snapToCaption, validateCitations } from './citations.js';
+import { videoDeepLink } from './export.js';
+import { UpstreamError } from './errors.js';
+import { delimitUntrusted, fenceTranscript, neutralizeInstructions } from './safety.js';
+import { logger } from './logger.js';
+
+const STUDY_TRANSCRIPT_TOKENS = 12000; // Longer transcripts are sampled evenly so the prompt still fits
+const QUESTION_COUNT = 10;
+const FLASHCARD_COUNT = 15;
+const GRADING_CONTEXT_SECONDS = 60; // Transcript either side of a question's timestamp shown to the grader
+
+// Function to pick chunks spread evenly over the video until the token budget is used up
+function sampleChunks(chunks, maxTokens = STUDY_TRANSCRIPT_TOKENS) {
+  const total = chunks.reduce((sum, chunk) => sum + estimateTokens(chunk.text), 0);
+  if (total <= maxTokens) return chunks;
+
+  const step = total / maxTokens;
+  return chunks.filter((_, i) => Math.floor(i % step) === 0);
+}
+
+function formatChunks(chunks) {
+  return fenceTranscript(chunks.map(chunk =>
+    `[${formatDuration(chunk.startTime / 1000)}] ${chunk.text}`
+  ).join('\n'));
+}
+
+// Function to resolve a model timestamp to a real caption, or null when it is malformed or past the end
+function anchor(videoId, transcript, videoSeconds, timestamp) {
+  const seconds = timestampToSeconds(timestamp);
+  if (seconds === null || seconds > videoSeconds) return null;
+
+  const snapped = snapToCaption(transcript, seconds);
+  if (!snapped) return null;
+
+  return {
+    timestamp: snapped.timestamp,
+    seconds: snapped.seconds,
+    quote: snapped.text,
+    url: videoDeepLink(videoId, snapped.seconds)
+  };
+}
+
+// Function to keep the well-formed questions, number them and link each one to where its answer is said
+function normalizeQuestions(questions, anchorAt) {
+  const normalized = [];
+
+  for (const question of Array.isArray(questions) ? questions : []) {
+    if (!question || typeof question.question !== 'string' || !question.question.trim()) continue;
+    const source = anchorAt(question.timestamp);
+    if (!source) continue;
+
+    const base = {
+      question: question.question.trim(),
+      explanation: typeof question.explanation === 'string' ? question.explanation : '',
+      ...source
+    };
+
+    const options = Array.isArray(question.options)
+      ? question.options.filter(o => typeof o === 'string' && o.trim())
+      : [];
+    const answerIndex = Number(question.answer);
+
+    if (question.type === 'multiple-choice' && options.length >= 2 &&
+        Number.isInteger(answerIndex) && answerIndex >= 0 && answerIndex < options.length) {
+      normalized.push({ id: `q${normalized.length + 1}`, type: 'multiple-choice', ...base, options, answerIndex });
+    } else if (question.type === 'short-answer' && typeof question.answer === 'string' && question.answer.trim()) {
+      normalized.push({ id: `q${normalized.length + 1}`, type: 'short-answer', ...base, answer: question.answer.trim() });
+    }
+  }
+
+  return normalized;
+}
+
+// Function to keep the complete flashcards; a card whose timestamp cannot be resolved keeps no link
+function normalizeFlashcards(flashcards, anchorAt) {
+  return (Array.isArray(flashcards) ? flashcards : [])
+    .filter(card => card && typeof card.front === 'string' && card.front.trim() &&
+      typeof card.back === 'string' && card.back.trim())
+    .map((card, i) => {
+      const source = anchorAt(card.timestamp);
+      return {
+        id: `c${i + 1}`,
+        front: card.front.trim(),
+        back: card.back.trim(),
+        timestamp: source?.timestamp || null,
+        seconds: source?.seconds ?? null,
+        url: source?.url || null
+      };
+    });
+}
+
+// Function to check a multiple-choice answer given as an option index, a letter (A-D) or the option text
+function isCorrectChoice(question, answer) {
+  if (typeof answer === 'number') return answer === question.answerIndex;
+  if (typeof answer !== 'string') return false;
+
+  const value = answer.trim();
+  if (/^\d+$/.test(value)) return Number(value) === question.answerIndex;
+  if (/^[a-z]$/i.test(value)) return value.toUpperCase().charCodeAt(0) - 65 === question.answerIndex;
+  return value.toLowerCase() === question.options[question.answerIndex].trim().toLowerCase();
+}
+
+// Function to get the captions around a question's timestamp, shaped like a retrieved chunk
+function contextAround(transcript, seconds) {
+  const items = transcript.filter(item => Math.abs(item.offset / 1000 - seconds) <= GRADING_CONTEXT_SECONDS);
+  return {
+    startTime: Math.max(0, seconds - GRADING_CONTEXT_SECONDS) * 1000,
+    endTime: (seconds + GRADING_CONTEXT_SECONDS) * 1000,
+    items,
+    text: items.map(item => `[${formatDuration(item.offset / 1000)}] ${item.text}`).join('\n')
+  };
+}
+
+// Function to quote a field for CSV, doubling any quotes inside it
+function csvField(value) {
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Function to render a flashcard deck as CSV Anki can import (File > Import), with a link back to the video on each card
+export function renderAnkiCsv(studySet, { title = '' } = {}) {
+  const tag = title
+    ? title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '').slice(0, 50)
+    : studySet.videoId;
+
+  const rows = studySet.flashcards.map(card => {
+    const back = card.url
+      ? `${escapeHtml(card.back)}<br><a href="${card.url}">${card.timestamp}</a>`
+      : escapeHtml(card.back);
+    return [csvField(escapeHtml(card.front)), csvField(back), csvField(tag)].join(',');
+  });
+
+  return ['#separator:Comma', '#html:true', '#columns:Front,Back,Tags', '#tags column:3', ...rows].join('\n') + '\n';
+}
+
+// Function to strip the answers from a study set so a quiz can be taken before it is graded
+export function withoutAnswers(studySet) {
+  return {
+    ...studySet,
+    questions: studySet.questions.map(({ answerIndex, answer, explanation, quote, ...question }) => question)
+  };
+}
+
+// Study material generator: quiz questions and flashcards from the cached transcript and analysis, plus grading
+export function createStudyGenerator({ llm, model, temperature = 0.3 }) {
+  async function requestJson(systemPrompt, userPrompt) {
+    const { data } = await completeJson(llm, {
+      model,
+      messages: [
+        {
+          role: "system",
+          content: systemPrompt
+        },
+        {
+          role: "user",
+          content: userPrompt
+        }
+      ],
+      temperature
+    });
+    return data;
+  }
+
+  // Function to generate a quiz and flashcard deck in the given language
+  // Every question is anchored to the caption where its answer is said; ones without a usable timestamp are dropped
+  async function generateStudySet({ videoId, metadata, transcript, chunks, analysis, language = 'en' }) {
+    const prompts = getPrompts(language);
+    const captionSeconds = chunks.length > 0 ? chunks[chunks.length - 1].endTime / 1000 : 0;
+    const videoSeconds = metadata.duration || captionSeconds;
+    const anchorAt = timestamp => anchor(videoId, transcript, videoSeconds, timestamp);
+
+    let data = {};
+    try {
+      data = await requestJson(
+        joinPrompt(prompts.studySystem(), prompts.untrustedContent(), prompts.directive),
+        prompts.studySet({
+          title: metadata.title,
+          duration: formatDuration(videoSeconds),
+          topics: analysis.mainTopics.map(t => `${t.timestamp} ${t.topic}`).join('\n       '),
+          concepts: analysis.keyConcepts.map(c => `${c.concept}: ${c.definition}`).join('\n       '),
+          transcript: formatChunks(sampleChunks(chunks)),
+          questionCount: QUESTION_COUNT,
+          flashcardCount: FLASHCARD_COUNT,
+          format: prompts.studyFormat()
+        })
+      );
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      // Without usable output there is no quiz; the key concepts still make a flashcard deck
+      logger.warn('Study material generation returned invalid JSON, using key concepts as flashcards', { videoId });
+    }
+
+    const questions = normalizeQuestions(data.questions, anchorAt);
+    let flashcards = normalizeFlashcards(data.flashcards, anchorAt);
+    if (flashcards.length === 0) {
+      flashcards = normalizeFlashcards(
+        analysis.keyConcepts.map(c => ({ front: c.concept, back: c.definition })),
+        anchorAt
+      );
+    }
+
+    logger.info('Study material generated', { videoId, questions: questions.length, flashcards: flashcards.length });
+    return {
+      videoId,
+      language: prompts.locale,
+      questions,
+      flashcards,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  // Function to grade answers ([{ questionId, answer }]) against a study set
+  // Multiple-choice answers are checked directly; short answers are graded by the model in one call
+  async function gradeAnswers({ studySet, answers, metadata, transcript }) {
+    const prompts = getPrompts(studySet.language);
+    const questions = new Map(studySet.questions.map(q => [q.id, q]));
+    const results = new Map();
+    const openAnswers = [];
+
+    for (const { questionId, answer } of answers) {
+      const question = questions.get(questionId);
+      if (!question || results.has(questionId)) continue;
+
+      if (question.type === 'multiple-choice') {
+        const correct = isCorrectChoice(question, answer);
+        results.set(questionId, {
+          questionId,
+          correct,
+          score: correct ? 1 : 0,
+          correctAnswer: question.options[question.answerIndex],
+          feedback: correct ? '' : question.explanation
+        });
+      } else if (typeof answer === 'string' && answer.trim()) {
+        openAnswers.push({ question, answer: answer.trim() });
+      } else {
+        results.set(questionId, { questionId, correct: false, score: 0, correctAnswer: question.answer, feedback: '' });
+      }
+    }
+
+    if (openAnswers.length > 0) {
+      let graded = [];
+      try {
+        const data = await requestJson(
+          joinPrompt(prompts.gradingSystem(), prompts.untrustedContent(), prompts.directive),
+          prompts.grading({
+            title: metadata.title,
+            items: openAnswers.map(({ question, answer }) => prompts.gradingItem({
+              id: question.id,
+              question: question.question,
+              expected: question.answer,
+              answer: delimitUntrusted(neutralizeInstructions(answer).text, 'answer'),
+              excerpt: fenceTranscript(contextAround(transcript, question.seconds).text)
+            })).join('\n\n       ')
+          })
+        );
+        graded = Array.isArray(data.results) ? data.results : [];
+      } catch (error) {
+        if (!(error instanceof SyntaxError)) throw error;
+        throw new UpstreamError('The model returned an unusable grading response', { code: 'grading_failed', cause: error });
+      }
+
+      for (const { question } of openAnswers) {
+        const grade = graded.find(g => g && g.questionId === question.id);
+        const score = Math.min(1, Math.max(0, Number(grade?.score) || 0));
+        results.set(question.id, {
+          questionId: question.id,
+          correct: score >= 0.5,
+          score,
+          correctAnswer: question.answer,
+          feedback: typeof grade?.feedback === 'string' ? grade.feedback : question.explanation
+        });
+      }
+    }
+
+    // Feedback cites the video; the moment the question was written from is always included
+    const graded = Array.from(results.values()).map(result => {
+      const question = questions.get(result.questionId);
+      const citations = validateCitations(result.feedback, {
+        videoId: studySet.videoId,
+        transcript,
+        relevantChunks: [contextAround(transcript, question.seconds)],
+        duration: metadata.duration
+      }).filter(citation => citation.status !== 'invalid');
+
+      if (!citations.some(citation => citation.seconds === question.seconds)) {
+        citations.push({
+          timestamp: question.timestamp,
+          citedTimestamp: question.timestamp,
+          seconds: question.seconds,
+          citedSeconds: question.seconds,
+          status: 'verified',
+          text: question.quote,
+          url: question.url
+        });
+      }
+
+      return { ...result, citations };
+    });
+
+    const score = graded.reduce((sum, result) => sum + result.score, 0);
+    return {
+      score: Math.round(score * 100) / 100,
+      total: graded.length,
+      results: graded
+    };
+  }
+
+  return { generateStudySet, gradeAnswers };
+}
@@ -0,0 +1,119 @@
+import { chunkTranscript } from './transcript.js';
+import { formatDuration, msToSeconds, secondsToMs } from './time.js';
+import { formatChunks, splitIntoWindows, chunkRange } from './analysis.js';
+import { getPrompts, joinPrompt } from './prompts/index.js';
+import { validateCitations } from './citations.js';
+import { logger } from './logger.js';
+
+export const SUMMARY_MODES = ['tldr', 'executive', 'detailed', 'bullets', 'range'];
+
+// Output length per mode; the notes from the map step are kept short so they all fit in the reduce prompt
+const SUMMARY_MAX_TOKENS = { tldr: 200, executive: 700, detailed: 2500, bullets: 1500, range: 800 };
+const NOTES_MAX_TOKENS = 800;
+
+// Summarizer: every mode reads the whole video (or the whole range) through map-reduce.
+// Map: each analysis-sized window is condensed into timestamped notes. Reduce: the notes are written up
+// in the requested mode. Videos that fit in one window skip the map step and are summarized directly
+export function createSummarizer({ llm, model, temperature = 0.3, chunking = {} }) {
+  async function complete(systemPrompt, userPrompt, maxTokens) {
+    const { content } = await llm.complete({
+      model,
+      messages: [
+        {
+          role: "system",
+          content: systemPrompt
+        },
+        {
+          role: "user",
+          content: userPrompt
+        }
+      ],
+      temperature,
+      maxTokens
+    });
+    return content.trim();
+  }
+
+  // Function to condense each window into timestamped notes (the "map" step)
+  async function writeNotes(windows, metadata, prompts, systemPrompt) {
+    const notes = [];
+
+    for (const [i, windowChunks] of windows.entries()) {
+      const range = chunkRange(windowChunks);
+      const from = formatDuration(range.start);
+      const to = formatDuration(range.end);
+      const text = await complete(systemPrompt, prompts.summaryNotes({
+        title: metadata.title,
+        from,
+        to,
+        part: i + 1,
+        totalParts: windows.length,
+        transcript: formatChunks(windowChunks)
+      }), NOTES_MAX_TOKENS);
+      notes.push(`${from} - ${to}\n${text}`);
+    }
+
+    return notes;
+  }
+
+  // Function to summarize a video in one of SUMMARY_MODES
+  // range ({ start, end } in seconds) is required for the "range" mode and ignored otherwise.
+  // notes are the map-step notes of an earlier whole-video summary in the same language; passing them back
+  // skips the map step. Returns { summary, citations, notes }
+  async function summarize({ videoId, metadata, transcript, analysis, mode, language = 'en', range = null, notes = null }) {
+    const prompts = getPrompts(language);
+    const systemPrompt = joinPrompt(prompts.summarySystem(), prompts.untrustedContent(), prompts.directive);
+
+    // No overlap: the model would read the repeated sentences twice
+    const { chunks: allChunks } = chunkTranscript(transcript, { ...chunking, overlap: 0 });
+    const chunks = mode === 'range'
+      ? allChunks.filter(chunk => msToSeconds(chunk.endTime) > range.start && msToSeconds(chunk.startTime) < range.end)
+      : allChunks;
+    if (chunks.length === 0) {
+      return { summary: '', citations: [], notes: null };
+    }
+
+    const covered = mode === 'range' ? range : chunkRange(chunks);
+    const from = formatDuration(covered.start);
+    const to = formatDuration(covered.end);
+    const windows = splitIntoWindows(chunks);
+
+    let material;
+    let mapNotes = null;
+    if (windows.length === 1) {
+      material = formatChunks(chunks);
+    } else {
+      mapNotes = mode !== 'range' && notes ? notes : await writeNotes(windows, metadata, prompts, systemPrompt);
+      material = mapNotes.join('\n\n       ');
+    }
+
+    const sections = analysis.mainTopics.map(t => `${t.timestamp} ${t.topic}`).join('\n       ');
+    const summary = await complete(systemPrompt, prompts.summary({
+      title: metadata.title,
+      duration: formatDuration(metadata.duration || msToSeconds(allChunks[allChunks.length - 1].endTime)),
+      from,
+      to,
+      instructions: prompts.summaryModes[mode]({ from, to, sections }),
+      material
+    }), SUMMARY_MAX_TOKENS[mode]);
+
+    logger.info('Summary generated', { videoId, mode, windows: windows.length, length: summary.length });
+
+    // Citations outside the summarized chunks, or outside the requested range, come back as "unsupported"
+    const relevantChunks = mode === 'range'
+      ? [{
+        startTime: secondsToMs(range.start),
+        endTime: secondsToMs(range.end),
+        items: transcript.filter(item => item.offset >= secondsToMs(range.start) && item.offset < secondsToMs(range.end))
+      }]
+      : chunks;
+
+    return {
+      summary,
+      citations: validateCitations(summary, { videoId, transcript, relevantChunks, duration: metadata.duration }),
+      notes: mode === 'range' ? null : mapNotes
+    };
+  }
+
+  return { summarize };
+}
@@ -0,0 +1,57 @@
+// Time helpers shared by every module that reads or writes video positions.
+// Positions are seconds everywhere except caption items and chunks, whose offset/duration and
+// startTime/endTime are milliseconds; convert at the boundary with msToSeconds/secondsToMs.
+
+export function msToSeconds(ms) {
+  return ms / 1000;
+}
+
+export function secondsToMs(seconds) {
+  return seconds * 1000;
+}
+
+// Function to format seconds as M:SS, or H:MM:SS from an hour up (anything that is not a number reads as 0:00)
+export function formatDuration(seconds) {
+  const total = Number.isFinite(seconds) && seconds > 0 ? seconds : 0;
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const remainingSeconds = Math.floor(total % 60);
+
+  if (hours > 0) {
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+  }
+  return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+}
+
+// Function to convert a timestamp to seconds, or null when it is malformed
+// Accepts MM:SS and HH:MM:SS (optionally in brackets or with a fraction: "[1:05]", "1:05.5"), unit
+// forms such as "1h2m3s" or "4m30s", and plain numbers of seconds. Minutes and seconds after a larger
+// unit must be below 60, so "1:75" and "1:99:00" are rejected
+export function timestampToSeconds(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? Math.floor(value) : null;
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim().replace(/^[[(]\s*(.*?)\s*[\])]$/, '$1');
+
+  const clock = text.match(/^(\d+):(\d{1,2})(?::(\d{1,2}))?(?:[.,]\d+)?$/);
+  if (clock) {
+    const [, first, second, third] = clock;
+    const parts = (third === undefined ? [first, second] : [first, second, third]).map(Number);
+    if (parts.slice(1).some(part => part >= 60)) return null;
+    return parts.reduce((acc, part) => acc * 60 + part, 0);
+  }
+
+  const units = text.match(/^(?:(\d+)\s*h)?\s*(?:(\d+)\s*m)?\s*(?:(\d+)\s*s)?$/i);
+  if (units && (units[1] || units[2] || units[3])) {
+    const [hours, minutes, seconds] = units.slice(1).map(part => Number(part) || 0);
+    return hours * 3600 + minutes * 60 + seconds;
+  }
+
+  return null;
+}
+
+// Function to rewrite a timestamp in the canonical M:SS / H:MM:SS form, or null when it is malformed
+export function normalizeTimestamp(value) {
+  const seconds = timestampToSeconds(value);
+  return seconds === null ? null : formatDuration(seconds);
+}
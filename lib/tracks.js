@@ -0,0 +1,157 @@
+import { baseLanguage } from './prompts/index.js';
+import { ValidationError } from './errors.js';
+
+export const CAPTION_KINDS = ['manual', 'auto'];
+
+// Caption tracks from both sources are normalized to
+//   { id, source: 'api' | 'player', language, kind: 'manual' | 'auto', name, translatable, baseUrl? }
+// "auto" is YouTube's automatic speech recognition (ASR); "forced" and "standard" tracks count as manual.
+// API track IDs come from captions.list; player track IDs are the watch page's vssId (".en", "a.en")
+
+// Function to normalize a captions.list resource
+export function apiTrack(caption) {
+  return {
+    id: caption.id,
+    source: 'api',
+    language: caption.snippet.language,
+    kind: caption.snippet.trackKind === 'ASR' ? 'auto' : 'manual',
+    name: caption.snippet.name || '',
+    translatable: null
+  };
+}
+
+function playerTrackName(name) {
+  if (!name) return '';
+  if (typeof name.simpleText === 'string') return name.simpleText;
+  return Array.isArray(name.runs) ? name.runs.map(run => run.text).join('') : '';
+}
+
+// Function to normalize a captionTracks entry from the watch page's player response
+export function playerTrack(track) {
+  return {
+    id: track.vssId || `${track.kind === 'asr' ? 'a' : ''}.${track.languageCode}`,
+    source: 'player',
+    language: track.languageCode,
+    kind: track.kind === 'asr' ? 'auto' : 'manual',
+    name: playerTrackName(track.name),
+    translatable: Boolean(track.isTranslatable),
+    baseUrl: track.baseUrl
+  };
+}
+
+// Function to read the JSON array or object starting at `start`, or null if it is cut off
+function readJsonAt(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+      if (depth === 0) return JSON.parse(text.slice(start, i + 1));
+    }
+  }
+  return null;
+}
+
+// Function to pull the caption tracks out of a watch page's embedded player response ([] when there are none)
+export function extractPlayerTracks(html) {
+  const match = /"captionTracks"\s*:\s*\[/.exec(html);
+  if (!match) return [];
+
+  try {
+    const tracks = readJsonAt(html, match.index + match[0].length - 1);
+    return Array.isArray(tracks)
+      ? tracks.filter(track => track && track.baseUrl && track.languageCode).map(playerTrack)
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+// Function to key a track for caching; the same track listed by the API and the player shares a key
+// Names are left out because the two sources word them differently, unless tracks (the list the track came
+// from) has other tracks of the same language and kind: then the name, or the ID when that is shared too,
+// tells them apart
+export function trackKey(track, tracks = []) {
+  const key = `${track.kind}.${track.language}`;
+  const siblings = tracks.filter(other => other.kind === track.kind && other.language === track.language);
+  if (siblings.length < 2) return key;
+
+  const uniqueName = track.name && siblings.filter(other => other.name === track.name).length === 1;
+  return `${key}.${uniqueName ? track.name : track.id}`;
+}
+
+// Function to list the tracks for a client: API tracks completed with the player's translatable flag,
+// followed by tracks only the player knows about
+export function mergeTracks(apiTracks, playerTracks) {
+  const sameTrack = (a, b) => a.language === b.language && a.kind === b.kind;
+  const merged = apiTracks.map(track => {
+    const match = playerTracks.find(p => sameTrack(p, track));
+    return match
+      ? { ...track, name: track.name || match.name, translatable: match.translatable }
+      : track;
+  });
+  const playerOnly = playerTracks.filter(p => !apiTracks.some(track => sameTrack(p, track)));
+  return [...merged, ...playerOnly];
+}
+
+// Function to read the caption track preference from a request body:
+// { trackId, language, kind } from captionTrack, captionLanguage and captionKind, all optional
+export function readTrackPreference({ captionTrack, captionLanguage, captionKind } = {}) {
+  if (captionKind !== undefined && !CAPTION_KINDS.includes(captionKind)) {
+    throw new ValidationError(`captionKind must be one of: ${CAPTION_KINDS.join(', ')}`, { code: 'invalid_caption_kind' });
+  }
+  for (const [field, value] of Object.entries({ captionTrack, captionLanguage })) {
+    if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+      throw new ValidationError(`${field} must be a non-empty string`, { code: 'invalid_caption_preference' });
+    }
+  }
+
+  return {
+    trackId: captionTrack?.trim() || null,
+    language: captionLanguage?.trim() || null,
+    kind: captionKind || null
+  };
+}
+
+export function hasTrackPreference(preference) {
+  return Boolean(preference && (preference.trackId || preference.language || preference.kind));
+}
+
+// Function to order tracks by preference: the requested language, then the requested kind (manual before
+// auto-generated when none is given), then an exact language tag over a regional variant. A requested track
+// ID narrows the list to tracks with that track's language and kind, so a failed download can fall back to
+// the same track from the other source; the track with that ID always comes first
+export function selectTracks(tracks, { trackId = null, language = null, kind = null, exact = null } = {}) {
+  const preferredKind = kind || 'manual';
+  const sameLanguage = track => !language || baseLanguage(track.language || '') === baseLanguage(language);
+  const sameTag = track => !language || (track.language || '').toLowerCase() === language.toLowerCase();
+  const rank = (track, test) => (test(track) ? 0 : 1);
+
+  const candidates = exact
+    ? tracks.filter(track => track.language === exact.language && track.kind === exact.kind)
+    : tracks;
+  return [...candidates].sort((a, b) =>
+    rank(a, track => track.id === trackId) - rank(b, track => track.id === trackId) ||
+    rank(a, sameLanguage) - rank(b, sameLanguage) ||
+    rank(a, track => track.kind === preferredKind) - rank(b, track => track.kind === preferredKind) ||
+    rank(a, sameTag) - rank(b, sameTag)
+  );
+}
+
+// Function to tell whether a loaded track satisfies a preference without listing the tracks again
+// A language preference is met by any track in the same base language
+export function trackMatchesPreference(track, preference) {
+  if (!hasTrackPreference(preference)) return true;
+  if (!track) return false;
+  if (preference.trackId) return track.id === preference.trackId;
+  if (preference.kind && track.kind !== preference.kind) return false;
+  return !preference.language || baseLanguage(track.language) === baseLanguage(preference.language);
+}
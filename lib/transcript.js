@@ -0,0 +1,172 @@
+import { timestampToSeconds } from './time.js';
+
+export const MAX_CHUNK_LENGTH = 1500; // Increased for better context
+export const CHUNK_OVERLAP = 200; // Characters from the end of a chunk repeated at the start of the next
+
+const SENTENCE_END = /[.!?…。！？]["'”’)\]]*$/;
+const SENTENCE_STOP = /[.!?…。！？](\s|$)/g;
+const PUNCTUATED_WORDS_PER_STOP = 60; // Captions with fewer full stops than this are treated as unpunctuated
+const PAUSE_MS = 1000; // In unpunctuated captions a silence this long ends a sentence
+const MAX_SENTENCE_WORDS = 25; // Run-on speech is cut into sentences of at most this many words
+const NON_SPEECH = /^(\[[^\]]*\]|\([^)]*\))$/; // [Music], (applause)
+
+function itemEnd(item) {
+  return item.offset + (item.duration || 0);
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+// Function to tell whether captions carry their own punctuation (manual captions and some auto captions do)
+export function isPunctuated(transcript) {
+  let words = 0;
+  let stops = 0;
+  for (const item of transcript) {
+    words += countWords(item.text);
+    stops += (item.text.match(SENTENCE_STOP) || []).length;
+  }
+  return words === 0 || stops * PUNCTUATED_WORDS_PER_STOP >= words;
+}
+
+// Function to give an unpunctuated sentence its capital letter and full stop back
+function restorePunctuation(text) {
+  const sentence = text.charAt(0).toUpperCase() + text.slice(1);
+  return SENTENCE_END.test(sentence) || /[,;:]$/.test(sentence) ? sentence : `${sentence}.`;
+}
+
+// Function to group caption items into sentences: { text, items, startTime, endTime }
+// Punctuated captions end a sentence at an item ending in . ! or ?; unpunctuated ones at a pause in speech.
+// Items are never split, so a sentence always starts and ends on a caption boundary
+export function splitSentences(transcript) {
+  const punctuated = isPunctuated(transcript);
+  const sentences = [];
+  let current = [];
+  let words = 0;
+
+  const flush = () => {
+    if (current.length === 0) return;
+    const text = current.map(item => item.text.replace(/\s+/g, ' ').trim()).filter(Boolean).join(' ');
+    sentences.push({
+      text: punctuated || NON_SPEECH.test(text) || !text ? text : restorePunctuation(text),
+      items: current,
+      startTime: current[0].offset,
+      endTime: itemEnd(current[current.length - 1])
+    });
+    current = [];
+    words = 0;
+  };
+
+  transcript.forEach((item, i) => {
+    const text = item.text.trim();
+    // Non-speech tags stand on their own so they never end up in the middle of a sentence
+    if (NON_SPEECH.test(text)) {
+      flush();
+      current.push(item);
+      flush();
+      return;
+    }
+
+    current.push(item);
+    words += countWords(text);
+
+    const next = transcript[i + 1];
+    const ended = punctuated ? SENTENCE_END.test(text) : Boolean(next) && next.offset - itemEnd(item) >= PAUSE_MS;
+    if (ended || words >= MAX_SENTENCE_WORDS) flush();
+  });
+  flush();
+
+  return sentences;
+}
+
+// Function to cut a sentence longer than a whole chunk into pieces along its caption items
+function splitLongSentence(sentence, maxLength) {
+  const pieces = [];
+  let current = [];
+  let length = 0;
+
+  for (const item of sentence.items) {
+    if (current.length > 0 && length + item.text.length + 1 > maxLength) {
+      pieces.push(current);
+      current = [];
+      length = 0;
+    }
+    current.push(item);
+    length += item.text.length + 1;
+  }
+  if (current.length > 0) pieces.push(current);
+
+  return pieces.map(items => ({
+    text: items.map(item => item.text.trim()).join(' '),
+    items,
+    startTime: items[0].offset,
+    endTime: itemEnd(items[items.length - 1])
+  }));
+}
+
+// Function to pick the trailing sentences of a chunk to repeat in the next one; never the whole chunk
+function overlapTail(sentences, overlap) {
+  const tail = [];
+  let length = 0;
+
+  for (let i = sentences.length - 1; i > 0; i--) {
+    length += sentences[i].text.length + 1;
+    if (length > overlap) break;
+    tail.unshift(sentences[i]);
+  }
+
+  return tail;
+}
+
+// Function to chunk a transcript along sentence boundaries: { chunks: [{ text, startTime, endTime, items, topic? }], totalDuration }
+// Consecutive chunks share up to `overlap` characters of whole sentences. Given `topics` (the analysis mainTopics),
+// a new chunk starts at every topic and each chunk is labelled with the topic it belongs to; no overlap crosses a topic
+export function chunkTranscript(transcript, { maxChunkLength = MAX_CHUNK_LENGTH, overlap = CHUNK_OVERLAP, topics = [] } = {}) {
+  const totalDuration = transcript.reduce((sum, item) => sum + (item.duration || 0), 0);
+
+  const sections = topics
+    .map(topic => ({ topic: topic.topic, start: timestampToSeconds(topic.timestamp) }))
+    .filter(section => section.start !== null)
+    .sort((a, b) => a.start - b.start);
+  // A sentence belongs to the topic its midpoint falls in
+  const sectionOf = sentence => {
+    const middle = (sentence.startTime + sentence.endTime) / 2000;
+    return sections.filter(section => section.start <= middle).pop() || null;
+  };
+
+  const sentences = splitSentences(transcript)
+    .flatMap(sentence => sentence.text.length > maxChunkLength ? splitLongSentence(sentence, maxChunkLength) : [sentence]);
+
+  const chunks = [];
+  let current = [];
+  let length = 0;
+  let section = null;
+
+  const emit = () => {
+    chunks.push({
+      text: current.map(s => s.text).join(' '),
+      startTime: current[0].startTime,
+      endTime: current[current.length - 1].endTime,
+      items: current.flatMap(s => s.items),
+      ...(section ? { topic: section.topic } : {})
+    });
+  };
+
+  for (const sentence of sentences) {
+    const sentenceSection = sectionOf(sentence);
+    const newSection = sentenceSection !== section;
+
+    if (current.length > 0 && (newSection || length + sentence.text.length + 1 > maxChunkLength)) {
+      emit();
+      current = newSection ? [] : overlapTail(current, overlap);
+      length = current.reduce((sum, s) => sum + s.text.length + 1, 0);
+    }
+
+    section = sentenceSection;
+    current.push(sentence);
+    length += sentence.text.length + 1;
+  }
+  if (current.length > 0) emit();
+
+  return { chunks, totalDuration };
+}
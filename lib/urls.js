@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+
+const YOUTUBE_HOSTS = ['youtube.com', 'youtube-nocookie.com', 'youtu.be'];
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+const LOCAL_MEDIA_PREFIX = 'local-';
+const UPLOAD_PREFIX = 'upload-';
+
+export function isYouTubeVideoId(id) {
+  return typeof id === 'string' && VIDEO_ID_PATTERN.test(id);
+}
+
+// Function to make an ID for an uploaded transcript of media that is not on YouTube
+// Never 11 characters long, so it cannot collide with a YouTube video ID
+export function createLocalMediaId() {
+  return `${LOCAL_MEDIA_PREFIX}${crypto.randomBytes(8).toString('hex')}`;
+}
+
+// Function to make an ID for a transcript uploaded for a YouTube video
+// Each upload gets its own, so it never replaces the video's captions or another client's upload; the video ID
+// at the end still gives it links into the video
+export function createUploadId(videoId) {
+  return `${UPLOAD_PREFIX}${crypto.randomBytes(8).toString('hex')}-${videoId}`;
+}
+
+// Function to find the YouTube video behind an ID: the ID itself, the video an upload was made for, or null
+export function youTubeVideoIdOf(id) {
+  if (isYouTubeVideoId(id)) return id;
+  if (typeof id !== 'string' || !id.startsWith(UPLOAD_PREFIX)) return null;
+  const videoId = id.slice(-11);
+  return id.length === UPLOAD_PREFIX.length + 16 + 12 && isYouTubeVideoId(videoId) ? videoId : null;
+}
+
+// Function to parse a YouTube URL (also accepts "@"-prefixed and scheme-less links), null if it is not YouTube
+function parseYouTubeUrl(url) {
+  try {
+    if (!url) return null;
+    url = url.trim().replace(/^@/, '');
+    if (!/^https?:\/\//i.test(url)) url = `https://${url}`;
+
+    const urlObj = new URL(url);
+    const hostname = urlObj.hostname.toLowerCase();
+    const isYouTube = YOUTUBE_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+    return isYouTube ? urlObj : null;
+  } catch {
+    return null;
+  }
+}
+
+// Helper function to extract video ID from YouTube URL
+// Handles watch?v=, youtu.be/, /shorts/, /live/, /embed/, /v/ and mobile/music/nocookie hosts
+export function extractVideoId(url) {
+  const urlObj = parseYouTubeUrl(url);
+  if (!urlObj) return null;
+
+  const pathParts = urlObj.pathname.split('/').filter(Boolean);
+  let videoId = null;
+
+  if (urlObj.hostname.toLowerCase().endsWith('youtu.be')) {
+    videoId = pathParts[0];
+  } else if (urlObj.searchParams.get('v')) {
+    videoId = urlObj.searchParams.get('v');
+  } else if (['shorts', 'live', 'embed', 'v', 'e'].includes(pathParts[0])) {
+    videoId = pathParts[1];
+  }
+
+  return videoId && VIDEO_ID_PATTERN.test(videoId) ? videoId : null;
+}
+
+// Function to extract the playlist ID from a playlist or watch?v=...&list=... URL
+export function extractPlaylistId(url) {
+  const urlObj = parseYouTubeUrl(url);
+  if (!urlObj) return null;
+
+  const playlistId = urlObj.searchParams.get('list');
+  return playlistId && /^[A-Za-z0-9_-]{2,}$/.test(playlistId) ? playlistId : null;
+}
+
+// Function to extract a channel reference: /channel/UC..., /@handle, /user/name or /c/name
+export function extractChannelRef(url) {
+  const urlObj = parseYouTubeUrl(url);
+  if (!urlObj) return null;
+
+  const [first, second] = urlObj.pathname.split('/').filter(Boolean);
+  if (!first) return null;
+
+  if (first === 'channel' && second) return { type: 'id', value: second };
+  if (first.startsWith('@')) return { type: 'handle', value: first };
+  if (first === 'user' && second) return { type: 'username', value: second };
+  // Legacy /c/ custom URLs usually match the channel's handle
+  if (first === 'c' && second) return { type: 'handle', value: `@${second}` };
+  return null;
+}
@@ -0,0 +1,156 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { logger } from './logger.js';
+
+// Quota units per YouTube Data API call, from Google's quota cost table
+export const YOUTUBE_QUOTA_COSTS = {
+  'videos.list': 1,
+  'channels.list': 1,
+  'playlists.list': 1,
+  'playlistItems.list': 1,
+  'captions.list': 50,
+  'captions.download': 200
+};
+
+const USAGE_RETENTION = 90 * 24 * 60 * 60 * 1000; // Daily usage records are kept for 90 days
+
+// The client a piece of work is done for; follows the request through awaits, jobs and streams
+const usageContext = new AsyncLocalStorage();
+
+// Function to run a request handler (and everything it starts) on behalf of a client
+export function runWithClient(clientId, fn) {
+  return usageContext.run({ clientId }, fn);
+}
+
+export function currentClientId() {
+  return usageContext.getStore()?.clientId || 'system';
+}
+
+function emptyRecord(clientId, date) {
+  return {
+    clientId,
+    date,
+    requests: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    youtubeUnits: 0,
+    models: {},
+    youtubeCalls: {}
+  };
+}
+
+function addTotals(totals, record) {
+  totals.requests += record.requests;
+  totals.promptTokens += record.promptTokens;
+  totals.completionTokens += record.completionTokens;
+  totals.youtubeUnits += record.youtubeUnits;
+  return totals;
+}
+
+// Per-client, per-day usage counters kept under usage:<clientId>:<YYYY-MM-DD>
+// store must never evict entries, or the report would silently lose days
+export function createUsageTracker(store) {
+  const writes = new Map(); // key -> last pending write, so updates to one record never interleave
+
+  function update(apply) {
+    const clientId = currentClientId();
+    const date = new Date().toISOString().slice(0, 10);
+    const key = `usage:${clientId}:${date}`;
+
+    const write = (writes.get(key) || Promise.resolve())
+      .then(async () => {
+        const record = (await store.get(key)) || emptyRecord(clientId, date);
+        apply(record);
+        record.updatedAt = new Date().toISOString();
+        await store.set(key, record, { ttl: USAGE_RETENTION });
+      })
+      .catch(error => logger.error('Failed to record usage', { key, error: error.message }));
+
+    writes.set(key, write);
+    write.then(() => {
+      if (writes.get(key) === write) writes.delete(key);
+    });
+    return write;
+  }
+
+  return {
+    recordRequest() {
+      return update(record => { record.requests++; });
+    },
+
+    // usage is the { promptTokens, completionTokens } an LLM provider or embedder reports
+    recordTokens(model, usage) {
+      if (!usage) return Promise.resolve();
+      return update(record => {
+        const perModel = record.models[model] || { promptTokens: 0, completionTokens: 0 };
+        perModel.promptTokens += usage.promptTokens || 0;
+        perModel.completionTokens += usage.completionTokens || 0;
+        record.models[model] = perModel;
+        record.promptTokens += usage.promptTokens || 0;
+        record.completionTokens += usage.completionTokens || 0;
+      });
+    },
+
+    recordYouTube(method) {
+      return update(record => {
+        record.youtubeUnits += YOUTUBE_QUOTA_COSTS[method] ?? 1;
+        record.youtubeCalls[method] = (record.youtubeCalls[method] || 0) + 1;
+      });
+    },
+
+    // Function to report usage per client, optionally for one client and a YYYY-MM-DD date range
+    async report({ clientId = null, from = null, to = null } = {}) {
+      const clients = new Map();
+
+      for (const key of await store.keys(clientId ? `usage:${clientId}:` : 'usage:')) {
+        const date = key.slice(key.lastIndexOf(':') + 1);
+        if ((from && date < from) || (to && date > to)) continue;
+
+        const record = await store.get(key);
+        if (!record) continue;
+
+        const client = clients.get(record.clientId) || {
+          clientId: record.clientId,
+          totals: emptyRecord(record.clientId, null),
+          days: []
+        };
+        addTotals(client.totals, record);
+        client.days.push(record);
+        clients.set(record.clientId, client);
+      }
+
+      return Array.from(clients.values()).map(({ clientId, totals, days }) => ({
+        clientId,
+        totals: {
+          requests: totals.requests,
+          promptTokens: totals.promptTokens,
+          completionTokens: totals.completionTokens,
+          youtubeUnits: totals.youtubeUnits
+        },
+        days: days.sort((a, b) => a.date.localeCompare(b.date))
+      }));
+    }
+  };
+}
+
+// Function to wrap an LLM provider so every completion's token usage is recorded for the current client
+export function meterProvider(llm, tracker) {
+  return {
+    ...llm,
+
+    async complete(options) {
+      const result = await llm.complete(options);
+      tracker.recordTokens(options.model, result.usage);
+      return result;
+    },
+
+    stream({ onUsage = () => {}, ...options }) {
+      return llm.stream({
+        ...options,
+        onUsage: usage => {
+          tracker.recordTokens(options.model, usage);
+          onUsage(usage);
+        }
+      });
+    }
+  };
+}
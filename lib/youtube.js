@@ -0,0 +1,221 @@
+import { logger } from './logger.js';
+import { parseCaptions, isParsableCaption, captionPayloadToString } from './captions.js';
+import { apiTrack, extractPlayerTracks, mergeTracks, selectTracks, trackKey } from './tracks.js';
+import { videoMetadataFromResource } from './metadata.js';
+import {
+  NotFoundError,
+  CaptionsUnavailableError,
+  QuotaExceededError,
+  youtubeApiError,
+  toAppError
+} from './errors.js';
+
+// Captions from YouTube. Each source is tried in turn: the Data API's captions.download, the public timedtext
+// endpoints for the same track, then the tracks embedded in the watch page.
+// youtube is a googleapis YouTube client, auth hands out its credentials (getClient), fetch is the shared
+// HTTP client's and usage counts the Data API calls made for quota accounting
+export function createCaptionSource({ youtube, auth, fetch, usage = { recordYouTube: () => {} } }) {
+  // Function to fetch a video's details from the Data API: { metadata, video } (the raw resource)
+  async function fetchVideoMetadata(videoId, authClient) {
+    usage.recordYouTube('videos.list');
+    const videoResponse = await youtube.videos.list({
+      auth: authClient,
+      part: ['contentDetails', 'snippet'],
+      id: [videoId]
+    });
+
+    if (!videoResponse.data.items || videoResponse.data.items.length === 0) {
+      throw new NotFoundError('Video not found', { code: 'video_not_found' });
+    }
+
+    const video = videoResponse.data.items[0];
+    return { metadata: videoMetadataFromResource(video), video };
+  }
+
+  // Function to list a video's caption tracks through the Data API
+  async function listApiTracks(videoId, authClient) {
+    usage.recordYouTube('captions.list');
+    const captionResponse = await youtube.captions.list({
+      auth: authClient,
+      part: ['snippet', 'id'],
+      videoId: videoId
+    });
+
+    const tracks = (captionResponse.data.items || []).map(apiTrack);
+    logger.debug('Caption tracks', {
+      tracks: tracks.map(({ id, language, kind }) => ({ id, language, kind }))
+    });
+    return tracks;
+  }
+
+  // Function to list the caption tracks embedded in the watch page; [] when the page cannot be read
+  async function listPlayerTracks(videoId) {
+    try {
+      logger.debug('Reading caption tracks from page source', { videoId });
+      const response = await fetch(`https://www.youtube.com/watch?v=${videoId}`);
+      const tracks = extractPlayerTracks(await response.text());
+      logger.debug('Found caption tracks in page source', { tracks: tracks.length });
+      return tracks;
+    } catch (error) {
+      logger.debug('Failed to read caption tracks from page source', { videoId, error: error.message });
+      return [];
+    }
+  }
+
+  // Function to download one caption track, or null when it yields no usable captions
+  // API tracks fall back to the public timedtext endpoints; quota errors go to onQuotaError so they can be
+  // reported if no other track works
+  async function downloadTrack(videoId, track, authClient, onQuotaError) {
+    if (track.source === 'player') {
+      try {
+        const response = await fetch(track.baseUrl);
+        const text = await response.text();
+        return response.ok && isParsableCaption(text) ? text : null;
+      } catch (error) {
+        logger.debug('Failed to fetch caption track', { languageCode: track.language, error: error.message });
+        return null;
+      }
+    }
+
+    try {
+      logger.debug('Trying caption track', { captionId: track.id, language: track.language });
+      usage.recordYouTube('captions.download');
+      const downloadResponse = await youtube.captions.download({
+        auth: authClient,
+        id: track.id,
+        tfmt: 'srt',
+        prettyPrint: true
+      });
+
+      const downloadedText = captionPayloadToString(downloadResponse?.data);
+      if (isParsableCaption(downloadedText)) {
+        logger.debug('Caption download successful', { captionId: track.id, length: downloadedText.length });
+        return downloadedText;
+      }
+      logger.debug('Caption download empty or not a recognized caption format', { captionId: track.id });
+      return null;
+    } catch (downloadError) {
+      const mappedError = youtubeApiError(downloadError, 'Caption download failed');
+      if (mappedError instanceof QuotaExceededError) onQuotaError(mappedError);
+      logger.debug('Caption download failed, trying public endpoints', {
+        captionId: track.id,
+        status: downloadError.response?.status,
+        error: downloadError.message
+      });
+
+      // If OAuth download fails, try public endpoints as fallback
+      const language = encodeURIComponent(track.language);
+      const formats = [
+        `https://www.youtube.com/api/timedtext?v=${videoId}&lang=${language}`,
+        `https://www.youtube.com/api/timedtext?v=${videoId}&lang=${language}&fmt=srv3`,
+        `https://www.youtube.com/api/timedtext?v=${videoId}&lang=${language}&kind=asr`
+      ];
+
+      for (const url of formats) {
+        try {
+          logger.debug('Trying public caption URL', { url });
+          const response = await fetch(url);
+          const text = await response.text();
+          if (response.ok && isParsableCaption(text)) {
+            logger.debug('Found captions via public endpoint', { url });
+            return text;
+          }
+        } catch (error) {
+          logger.debug('Failed to fetch from public endpoint', { url, error: error.message });
+        }
+      }
+      return null;
+    }
+  }
+
+  // Function to list every caption track of a video: the Data API's, completed with what the watch page knows
+  async function listCaptionTracks(videoId) {
+    let apiTracks = [];
+    let apiError = null;
+    try {
+      apiTracks = await listApiTracks(videoId, await auth.getClient());
+    } catch (error) {
+      apiError = error.response ? youtubeApiError(error, 'Failed to list caption tracks') : toAppError(error, 'Failed to list caption tracks');
+      logger.warn('Failed to list caption tracks through the API', { videoId, error: apiError });
+    }
+
+    const playerTracks = await listPlayerTracks(videoId);
+    if (apiError && playerTracks.length === 0) throw apiError;
+
+    const tracks = mergeTracks(apiTracks, playerTracks);
+    return tracks.map(({ baseUrl, ...track }) => ({ ...track, key: trackKey(track, tracks) }));
+  }
+
+  // Function to fetch a video's captions from the track that best matches the preference (see lib/tracks.js)
+  // findCached is asked about each candidate before it is downloaded; when it returns a stored copy of the
+  // track, that is returned as { cached, track, metadata } instead of a fresh transcript
+  async function fetchVideoTranscript(videoId, { preference = {}, findCached = async () => null } = {}) {
+    try {
+      logger.info('Fetching transcript', { videoId });
+      const authClient = await auth.getClient();
+
+      // First, get video details
+      const { metadata, video } = await fetchVideoMetadata(videoId, authClient);
+      logger.info('Video details', {
+        title: metadata.title,
+        duration: metadata.duration,
+        chapters: metadata.chapters.length,
+        hasCaptions: video.contentDetails.caption === 'true'
+      });
+
+      // Get caption tracks using authenticated request
+      const tracks = await listApiTracks(videoId, authClient);
+
+      // The watch page is only read when the API tracks are not enough
+      let playerTracks = null;
+      const getPlayerTracks = async () => (playerTracks ??= await listPlayerTracks(videoId));
+
+      // A requested track ID narrows the candidates to that track, from either source
+      let exact = null;
+      if (preference.trackId) {
+        exact = tracks.find(track => track.id === preference.trackId) ||
+          (await getPlayerTracks()).find(track => track.id === preference.trackId);
+        if (!exact) {
+          throw new NotFoundError('Caption track not found', { code: 'track_not_found', details: { trackId: preference.trackId } });
+        }
+      }
+
+      // Reported if no other source works, so clients see "quota exceeded" rather than "no captions"
+      let quotaError = null;
+      const onQuotaError = error => { quotaError = error; };
+
+      // Try each API track in order of preference, then the watch page's tracks as a last resort
+      const tryTracks = async candidates => {
+        for (const track of selectTracks(candidates, { ...preference, exact })) {
+          const { baseUrl, ...info } = track;
+          const loaded = { ...info, key: trackKey(track, candidates) };
+
+          const cached = await findCached(loaded);
+          if (cached) return { cached, track: loaded, metadata };
+
+          const text = await downloadTrack(videoId, track, authClient, onQuotaError);
+          if (text) {
+            // Parse whichever caption format the source returned (SRT, WebVTT, srv3, json3 or timedtext XML)
+            return { transcript: parseCaptions(text), language: track.language, captionType: track.kind, track: loaded, metadata };
+          }
+        }
+        return null;
+      };
+
+      const result = await tryTracks(tracks) || await tryTracks(await getPlayerTracks());
+      if (!result) {
+        throw quotaError || new CaptionsUnavailableError(
+          'No captions found for this video. Please try another video or ensure the video has accessible captions.',
+          { details: { tracksListed: tracks.length } }
+        );
+      }
+
+      return result;
+    } catch (error) {
+      // googleapis errors carry the HTTP response; anything else that is not typed yet is our own bug
+      throw error.response ? youtubeApiError(error, 'Failed to fetch video details') : toAppError(error, 'Failed to fetch transcript');
+    }
+  }
+
+  return { fetchVideoMetadata, listCaptionTracks, fetchVideoTranscript };
+}
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCaptions, parsePlainTranscript, detectCaptionFormat, decodeCaptionText } from '../lib/captions.js';
+import { logger } from '../lib/logger.js';
+
+logger.configure({ level: 'error' });
+
+const texts = items => items.map(item => item.text);
+
+test('timedtext is decoded once, including YouTube\'s double escaping', () => {
+  const xml = '<?xml version="1.0" encoding="utf-8" ?><transcript>' +
+    '<text start="0.5" dur="2.1">it&amp;#39;s <i>fine</i></text>' +
+    '<text start="2.6" dur="1.4">3 &amp;lt; 4</text>' +
+    '<text start="4" dur="1">literally &amp;amp;lt;</text>' +
+    '</transcript>';
+
+  assert.equal(detectCaptionFormat(xml), 'timedtext');
+  assert.deepEqual(parseCaptions(xml), [
+    { text: 'it\'s fine', offset: 500, duration: 2100 },
+    { text: '3 < 4', offset: 2600, duration: 1400 },
+    { text: 'literally &lt;', offset: 4000, duration: 1000 }
+  ]);
+});
+
+test('srv3 joins its segments and keeps text the XML parser already decoded', () => {
+  const xml = '<?xml version="1.0" encoding="utf-8" ?><timedtext format="3"><body>' +
+    '<p t="0" d="1500"><s>flour</s><s t="600"> &amp; water</s></p>' +
+    '<p t="1500" d="2000">it says &amp;lt;b&amp;gt;</p>' +
+    '</body></timedtext>';
+
+  assert.equal(detectCaptionFormat(xml), 'srv3');
+  assert.deepEqual(parseCaptions(xml), [
+    { text: 'flour & water', offset: 0, duration: 1500 },
+    { text: 'it says &lt;b&gt;', offset: 1500, duration: 2000 }
+  ]);
+});
+
+test('json3 text is taken as it is, without entity decoding', () => {
+  const json = JSON.stringify({
+    events: [
+      { tStartMs: 0, dDurationMs: 1000, segs: [{ utf8: 'fold' }, { utf8: ' and turn' }] },
+      { tStartMs: 1000, dDurationMs: 500 },
+      { tStartMs: 2000, dDurationMs: 1000, segs: [{ utf8: 'AT&amp;T\n' }] }
+    ]
+  });
+
+  assert.equal(detectCaptionFormat(json), 'json3');
+  assert.deepEqual(parseCaptions(json), [
+    { text: 'fold and turn', offset: 0, duration: 1000 },
+    { text: 'AT&amp;T', offset: 2000, duration: 1000 }
+  ]);
+});
+
+test('SRT cues lose their markup but keep speech that looks like a tag', () => {
+  const srt = '1\r\n00:00:01,000 --> 00:00:04,000\r\n<i>Hello</i> &amp; welcome\r\n\r\n' +
+    '2\r\n00:00:05,000 --> 00:00:07,500\r\nif x < 10 and y > 5\r\nthen stop\r\n';
+
+  assert.equal(detectCaptionFormat(srt), 'srt');
+  assert.deepEqual(parseCaptions(srt), [
+    { text: 'Hello & welcome', offset: 1000, duration: 3000 },
+    { text: 'if x < 10 and y > 5 then stop', offset: 5000, duration: 2500 }
+  ]);
+});
+
+test('WebVTT drops roll-up repeats but keeps a line that is said again', () => {
+  const vtt = [
+    'WEBVTT',
+    '',
+    '00:00:00.000 --> 00:00:02.000 align:start position:0%',
+    'hello<00:00:00.500><c> world</c>',
+    '',
+    '00:00:02.000 --> 00:00:02.010',
+    'hello world',
+    '',
+    '00:00:02.010 --> 00:00:04.000',
+    'hello world',
+    'how are<c.colorE5E5E5> you</c>',
+    '',
+    '00:00:05.000 --> 00:00:06.000',
+    '<v Ann>Yes.',
+    '',
+    '00:00:07.000 --> 00:00:08.000',
+    '<v Ann>Yes.'
+  ].join('\n');
+
+  assert.equal(detectCaptionFormat(vtt), 'vtt');
+  assert.deepEqual(texts(parseCaptions(vtt)), ['hello world', 'how are you', 'Yes.', 'Yes.']);
+});
+
+test('plain text transcripts are timed from their timestamps or by speaking rate', () => {
+  const timed = parsePlainTranscript('0:00\nIntro to the starter\n[0:05] Feeding it\nevery day\n1:02 Baking');
+  assert.equal(timed.estimated, false);
+  assert.deepEqual(timed.items, [
+    { text: 'Intro to the starter', offset: 0, duration: 5000 },
+    { text: 'Feeding it every day', offset: 5000, duration: 57000 },
+    { text: 'Baking', offset: 62000, duration: 1000 }
+  ]);
+
+  const untimed = parsePlainTranscript('one two three four five\n\nsix');
+  assert.equal(untimed.estimated, true);
+  assert.deepEqual(untimed.items.map(item => item.offset), [0, 2000]);
+});
+
+test('entities are decoded a single time', () => {
+  assert.equal(decodeCaptionText('Tom &amp;amp; Jerry&nbsp;&#39;s'), 'Tom &amp; Jerry \'s');
+  assert.equal(decodeCaptionText('&lt;b&gt;bold&lt;/b&gt;', { decode: false }), '&lt;b&gt;bold&lt;/b&gt;');
+});
@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStore } from '../lib/store.js';
+import { createCollectionStore } from '../lib/collections.js';
+
+test('each client keeps its own record of a collection', async () => {
+  const collections = createCollectionStore(new MemoryStore());
+  const playlist = { id: 'playlist:PL123', kind: 'playlist', title: 'Bread', videos: [] };
+  await collections.save({ ...playlist, clientId: 'alice', preference: { language: 'en' } });
+  await collections.save({ ...playlist, clientId: 'bob', preference: { language: 'ms' } });
+
+  assert.deepEqual((await collections.get('playlist:PL123', 'alice')).preference, { language: 'en' });
+  assert.deepEqual((await collections.get('playlist:PL123', 'bob')).preference, { language: 'ms' });
+  assert.equal(await collections.get('playlist:PL123', 'carol'), null);
+});
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStore } from '../lib/store.js';
+import { createConversationStore } from '../lib/conversations.js';
+
+test('conversations are only visible to the client that started them', async () => {
+  const conversations = createConversationStore(new MemoryStore());
+  const conversation = conversations.create('video00001a', 'alice');
+  conversation.messages.push({ role: 'user', content: 'my secret question about bread' });
+  await conversations.save(conversation);
+
+  assert.equal((await conversations.get(conversation.id, 'alice')).id, conversation.id);
+  assert.equal(await conversations.get(conversation.id, 'bob'), null);
+  assert.deepEqual((await conversations.list('alice')).map(c => c.title), ['my secret question about bread']);
+  assert.deepEqual(await conversations.list('bob'), []);
+});
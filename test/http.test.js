@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Response } from 'node-fetch';
+import { createHttpClient } from '../lib/http.js';
+import { logger } from '../lib/logger.js';
+
+logger.configure({ level: 'error' });
+
+test('a request counts once towards the circuit breaker, however often it was retried', async () => {
+  let calls = 0;
+  const http = createHttpClient({
+    retries: 2,
+    baseDelay: 1,
+    breakerThreshold: 2,
+    fetchImpl: async () => {
+      calls++;
+      return new Response('unavailable', { status: 503 });
+    }
+  });
+
+  assert.equal((await http.fetch('https://www.youtube.com/a')).status, 503);
+  assert.equal(calls, 3);
+  assert.equal((await http.fetch('https://www.youtube.com/b')).status, 503);
+  await assert.rejects(http.fetch('https://www.youtube.com/c'), { code: 'ECIRCUITOPEN' });
+  assert.equal(calls, 6);
+});
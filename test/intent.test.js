@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyQuery } from '../lib/intent.js';
+
+const duration = 1800;
+
+test('spoken times after a preposition are positions in the video', () => {
+  assert.deepEqual(classifyQuery('what is said at 90 seconds', { duration }), { type: 'time', seconds: 90 });
+  assert.deepEqual(classifyQuery('what happens around 2 minutes and 30 seconds?', { duration }), { type: 'time', seconds: 150 });
+  assert.deepEqual(classifyQuery('apa yang disebut pada 5 minit', { duration }), { type: 'time', seconds: 300 });
+  assert.equal(classifyQuery('is a 5 minute workout enough?', { duration }).type, 'question');
+});
+
+test('"from N to M <unit>" is a range', () => {
+  assert.deepEqual(classifyQuery('explain the part from 10 to 20 minutes', { duration }), { type: 'range', start: 600, end: 1200 });
+  assert.deepEqual(classifyQuery('between 1:00 and 2:30', { duration }), { type: 'range', start: 60, end: 150 });
+});
+
+test('"the end" needs to be the end of the video', () => {
+  assert.equal(classifyQuery('at the end of the day, what matters?', { duration }).type, 'question');
+  assert.deepEqual(classifyQuery('what happens at the end of the video?', { duration }), {
+    type: 'range', position: 'end', start: 1440, end: 1800
+  });
+  assert.equal(classifyQuery('summarize the last part', { duration }).position, 'end');
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { createAnthropicProvider, createMockProvider } from '../lib/llm.js';
+import { createAnalyzer } from '../lib/analysis.js';
+import { createStudyGenerator } from '../lib/study.js';
+import { createSummarizer } from '../lib/summaries.js';
+import { chunkTranscript } from '../lib/transcript.js';
+import { UpstreamError } from '../lib/errors.js';
+import { logger } from '../lib/logger.js';
+
+logger.configure({ level: 'error' });
+
+// Ten minutes of captions, one sentence every 10 seconds
+const transcript = Array.from({ length: 60 }, (_, i) => ({
+  text: `This is sentence number ${i + 1} of the lesson.`,
+  offset: i * 10000,
+  duration: 10000
+}));
+const metadata = { title: 'Mock lesson', duration: 600, chapters: [] };
+
+test('mock provider answers every JSON prompt in the shape it asks for', async () => {
+  const llm = createMockProvider();
+  const { analyzeTranscript } = createAnalyzer({ llm, model: 'mock' });
+  const { generateStudySet, gradeAnswers } = createStudyGenerator({ llm, model: 'mock' });
+  const { summarize } = createSummarizer({ llm, model: 'mock' });
+
+  const analysis = await analyzeTranscript(transcript, metadata);
+  assert.ok(analysis.mainTopics.length > 0);
+  assert.equal(new Set(analysis.mainTopics.map(t => `${t.timestamp} ${t.topic}`)).size, analysis.mainTopics.length);
+
+  const { chunks } = chunkTranscript(transcript);
+  const studySet = await generateStudySet({ videoId: 'mockvideo01', metadata, transcript, chunks, analysis });
+  assert.deepEqual(studySet.questions.map(q => q.type), ['multiple-choice', 'short-answer']);
+  assert.equal(studySet.flashcards.length, 1);
+  assert.ok(studySet.questions.every(q => q.timestamp));
+
+  const shortAnswer = studySet.questions.find(q => q.type === 'short-answer');
+  const { results } = await gradeAnswers({
+    studySet,
+    metadata,
+    transcript,
+    answers: [{ questionId: shortAnswer.id, answer: 'Something the lesson said.' }]
+  });
+  assert.equal(results[0].score, 1);
+
+  const { summary, citations } = await summarize({ videoId: 'mockvideo01', metadata, transcript, analysis, mode: 'tldr' });
+  assert.ok(summary.length > 0);
+  assert.ok(citations.length > 0);
+});
+
+test('anthropic stream keeps characters split across network chunks', async () => {
+  const event = data => `event: ${data.type}\ndata: ${JSON.stringify(data)}\n\n`;
+  const payload = Buffer.from(
+    event({ type: 'message_start', message: { usage: { input_tokens: 3 } } }) +
+    event({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'café ☕' } }) +
+    event({ type: 'message_delta', usage: { output_tokens: 2 } })
+  );
+  // Cut inside the two-byte "é" and the three-byte "☕"
+  const splitAt = [payload.indexOf(Buffer.from('é')) + 1, payload.indexOf(Buffer.from('☕')) + 2];
+  const pieces = [payload.subarray(0, splitAt[0]), payload.subarray(splitAt[0], splitAt[1]), payload.subarray(splitAt[1])];
+
+  const fetch = async () => ({ ok: true, status: 200, body: Readable.from(pieces) });
+  const llm = createAnthropicProvider({ apiKey: 'test', fetch });
+
+  let usage = null;
+  let text = '';
+  for await (const token of llm.stream({ model: 'claude', messages: [{ role: 'user', content: 'Hi' }], onUsage: u => { usage = u; } })) {
+    text += token;
+  }
+  assert.equal(text, 'café ☕');
+  assert.deepEqual(usage, { promptTokens: 3, completionTokens: 2 });
+});
+
+test('anthropic stream fails on an error event instead of ending the answer early', async () => {
+  const event = data => `event: ${data.type}\ndata: ${JSON.stringify(data)}\n\n`;
+  const payload = event({ type: 'message_start', message: { usage: { input_tokens: 3 } } }) +
+    event({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'The starter needs' } }) +
+    event({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } });
+
+  const fetch = async () => ({ ok: true, status: 200, body: Readable.from([Buffer.from(payload)]) });
+  const llm = createAnthropicProvider({ apiKey: 'test', fetch });
+
+  let text = '';
+  await assert.rejects(async () => {
+    for await (const token of llm.stream({ model: 'claude', messages: [{ role: 'user', content: 'Hi' }] })) {
+      text += token;
+    }
+  }, error => error instanceof UpstreamError && error.code === 'llm_error' && error.details.type === 'overloaded_error');
+  assert.equal(text, 'The starter needs');
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileStore, MemoryStore } from '../lib/store.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+for (const [name, create] of [
+  ['MemoryStore', async () => new MemoryStore({ ttl: 1000 })],
+  ['FileStore', async () => new FileStore({ dir: await fs.mkdtemp(path.join(os.tmpdir(), 'store-test-')), ttl: 1000 })]
+]) {
+  test(`${name}.keys leaves out expired entries`, async () => {
+    const store = await create();
+    await store.set('summary:a', 1, { ttl: 20 });
+    await store.set('summary:b', 2);
+    await store.set('study:a', 3, { ttl: 20 });
+    await sleep(40);
+
+    assert.deepEqual(await store.keys('summary:'), ['summary:b']);
+    assert.deepEqual(await store.keys(), ['summary:b']);
+    if (store.dir) await fs.rm(store.dir, { recursive: true, force: true });
+  });
+}
+
+test('FileStore.keys checks the expiry of entries written before a restart', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'store-test-'));
+  const before = new FileStore({ dir });
+  await before.set('transcript:a', 1, { ttl: 20 });
+  await before.set('transcript:b', 2, { ttl: null });
+  await sleep(40);
+
+  const after = new FileStore({ dir });
+  assert.deepEqual(await after.keys('transcript:'), ['transcript:b']);
+  assert.deepEqual(await fs.readdir(dir), ['transcript%3Ab.json']);
+  await fs.rm(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectTracks, trackKey } from '../lib/tracks.js';
+
+const tracks = [
+  { id: 'AAA', source: 'api', language: 'en', kind: 'manual', name: 'English' },
+  { id: 'BBB', source: 'api', language: 'en', kind: 'manual', name: 'English (director commentary)' },
+  { id: 'CCC', source: 'api', language: 'en', kind: 'auto', name: '' }
+];
+
+test('a requested track comes before the other tracks of its language and kind', () => {
+  const selected = selectTracks(tracks, { trackId: 'BBB', exact: tracks[1] });
+  assert.deepEqual(selected.map(track => track.id), ['BBB', 'AAA']);
+});
+
+test('tracks sharing a language and kind get keys of their own', () => {
+  assert.equal(trackKey(tracks[0], tracks), 'manual.en.English');
+  assert.equal(trackKey(tracks[1], tracks), 'manual.en.English (director commentary)');
+  assert.equal(trackKey(tracks[2], tracks), 'auto.en');
+  assert.equal(trackKey(tracks[0]), 'manual.en');
+
+  const unnamed = [{ ...tracks[0], name: '' }, { ...tracks[1], name: '' }];
+  assert.notEqual(trackKey(unnamed[0], unnamed), trackKey(unnamed[1], unnamed));
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { google } from 'googleapis';
+import { createHttpClient } from '../lib/http.js';
+import { createCaptionSource } from '../lib/youtube.js';
+import { logger } from '../lib/logger.js';
+
+logger.configure({ level: 'error' });
+
+// Replayed from test/fixtures/http: no network, and no credentials since the fixtures are keyed without them
+function createSource() {
+  const http = createHttpClient({
+    mode: 'replay',
+    fixturesDir: path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'http')
+  });
+  const youtube = google.youtube({ version: 'v3', fetchImplementation: http.fetch, retry: false });
+  const calls = [];
+  const source = createCaptionSource({
+    youtube,
+    auth: { getClient: async () => null },
+    fetch: http.fetch,
+    usage: { recordYouTube: method => calls.push(method) }
+  });
+  return { source, calls };
+}
+
+test('a forbidden captions.download falls back to the public timedtext endpoints', async () => {
+  const { source, calls } = createSource();
+  const result = await source.fetchVideoTranscript('Xq3vT9kLm2A');
+
+  assert.deepEqual(calls, ['videos.list', 'captions.list', 'captions.download']);
+  assert.equal(result.metadata.title, 'Sourdough starter in five minutes');
+  assert.equal(result.track.key, 'manual.en');
+  assert.equal(result.captionType, 'manual');
+  // The plain timedtext response is empty, so the srv3 one is used
+  assert.deepEqual(result.transcript.map(item => item.text), [
+    'Feed your starter once a day',
+    'with equal weights of flour & water.',
+    'Keep it somewhere warm until it doubles.'
+  ]);
+});
+
+test('a video without Data API tracks falls back to the watch page\'s tracks', async () => {
+  const { source } = createSource();
+  const result = await source.fetchVideoTranscript('Pw7nR4sYt0B');
+
+  assert.equal(result.track.source, 'player');
+  assert.equal(result.track.key, 'auto.en');
+  assert.equal(result.captionType, 'auto');
+  assert.deepEqual(result.transcript[0], { text: 'fold the edges into the middle', offset: 0, duration: 3500 });
+});
+
+test('a video that is not recorded is not fetched from the network', async () => {
+  const { source } = createSource();
+  await assert.rejects(source.fetchVideoTranscript('Zz0000000Zz'), error => error.cause?.code === 'ENOFIXTURE');
+});